@@ -0,0 +1,242 @@
+import { DrawableBodyMode } from "./enums.js";
+import { collidePointEllipse, collidePointPoly, collidePointRect, collideRectCircle, collideRectPoly, collideRectRect } from "./collide.js";
+import { Vector } from "./Vector.js";
+import { colourToJSON } from "./serialize.js";
+
+/**
+ * An area is a region of a World which changes the physics of the bodies inside it
+ * e.g. a pool of water, a wind tunnel or a zero-gravity zone
+ */
+export class Area {
+  constructor(x, y, w, h) {
+    this._pos = new Vector(x, y); // Top-left if mode=Rectangle, centre if mode=Ellipse
+    this._w = w;
+    this._h = h;
+    this._mode = DrawableBodyMode.Rectangle;
+    this._path = []; // If mode=Path :: vertices of the area
+    this._stroke = null; // Colour (array of arguments to P5's color()) OR null
+    this._fill = [0, 0, 255, 60]; // Colour (array of arguments to P5's color()) OR null
+    this._bb = { pos: new Vector(NaN, NaN), w: 0, h: 0 }; // BOUNDING BOX
+    this._calcBoundingBox();
+
+    this._G = null; // Gravity vector which overrides World.G OR null
+    this._linearDrag = 0; // Drag proportional to velocity
+    this._quadraticDrag = 0; // Drag proportional to velocity squared
+    this._density = 0; // Fluid density (mass per square pixel) - used for buoyancy. 0 = not a fluid
+
+    this._world = null;
+  }
+
+  get w() { return this._w; } // SHORTHAND
+  get h() { return this._h; } // SHORTHAND
+
+  /** Get/Set position vector (sets/returns a copy) */
+  pos(vector = undefined) {
+    if (vector === undefined) return this._pos.copy();
+    this._pos = Vector.from(vector);
+    this._calcBoundingBox();
+    return this;
+  }
+
+  /** Get/Set gravity vector which overrides World.G. NULL = use World.G */
+  gravity(vector = undefined) {
+    if (vector === undefined) return this._G ? this._G.copy() : null;
+    this._G = vector === null ? null : Vector.from(vector);
+    return this;
+  }
+
+  /** Get/Set coefficient of linear drag */
+  linearDrag(value = undefined) {
+    if (typeof value === 'number') {
+      this._linearDrag = Math.max(0, value);
+      return this;
+    }
+    return this._linearDrag;
+  }
+
+  /** Get/Set coefficient of quadratic drag */
+  quadraticDrag(value = undefined) {
+    if (typeof value === 'number') {
+      this._quadraticDrag = Math.max(0, value);
+      return this;
+    }
+    return this._quadraticDrag;
+  }
+
+  /** Get/Set fluid density. Bodies in a fluid experience buoyancy */
+  density(value = undefined) {
+    if (typeof value === 'number') {
+      this._density = Math.max(0, value);
+      return this;
+    }
+    return this._density;
+  }
+
+  /** Calculate bounding box */
+  _calcBoundingBox() {
+    switch (this._mode) {
+      case DrawableBodyMode.Ellipse:
+        this._bb.pos = new Vector(this._pos.x - this._w / 2, this._pos.y - this._h / 2);
+        this._bb.w = this._w;
+        this._bb.h = this._h;
+        break;
+      case DrawableBodyMode.Rectangle:
+        this._bb.pos = this.pos();
+        this._bb.w = this._w;
+        this._bb.h = this._h;
+        break;
+      case DrawableBodyMode.Path: {
+        let topleft = [Infinity, Infinity], bottomright = [-Infinity, -Infinity];
+        for (let vertex of this._path) {
+          if (vertex[0] < topleft[0]) topleft[0] = vertex[0];
+          if (vertex[1] < topleft[1]) topleft[1] = vertex[1];
+          if (vertex[0] > bottomright[0]) bottomright[0] = vertex[0];
+          if (vertex[1] > bottomright[1]) bottomright[1] = vertex[1];
+        }
+        this._bb.pos = new Vector(...topleft);
+        this._bb.w = bottomright[0] - topleft[0];
+        this._bb.h = bottomright[1] - topleft[1];
+        break;
+      }
+      default:
+        throw new Error(`_calcBoundingBox(): Cannot create bounding box for Area of mode ${this._mode}`);
+    }
+  }
+
+  /** Set drawing mode. Areas may not be a Point. */
+  setDrawMode(mode) {
+    if (mode === DrawableBodyMode.Point) throw new Error(`setDrawMode(): An Area cannot be a Point`);
+    this._mode = mode;
+    this._calcBoundingBox();
+    return this;
+  }
+
+  /** Set this._fill to [arguments] of P5's color(), or NULL */
+  fill(...args) {
+    this._fill = args[0] === null ? null : args;
+    return this;
+  }
+
+  /** Set this._stroke to [arguments] of P5's color(), or NULL */
+  stroke(...args) {
+    this._stroke = args[0] === null ? null : args;
+    return this;
+  }
+
+  /** Set draw mode to Path */
+  setPolygon(...vertices) {
+    this._mode = DrawableBodyMode.Path;
+    this._path = vertices;
+    this._calcBoundingBox();
+    return this;
+  }
+
+  /** Serialize to a plain object (see World.toJSON) */
+  toJSON() {
+    return {
+      type: 'Area',
+      pos: this._pos.toJSON(),
+      w: this._w,
+      h: this._h,
+      mode: this._mode,
+      path: this._path.map(v => [v[0], v[1]]),
+      fill: colourToJSON(this._fill),
+      stroke: colourToJSON(this._stroke),
+      gravity: this._G ? this._G.toJSON() : null,
+      linearDrag: this._linearDrag,
+      quadraticDrag: this._quadraticDrag,
+      density: this._density,
+    };
+  }
+
+  /** Create an area from the output of toJSON() */
+  static fromJSON(data) {
+    const area = new Area(data.pos.x, data.pos.y, data.w, data.h);
+    area._mode = data.mode;
+    area._path = data.path.map(v => [v[0], v[1]]);
+    area._fill = data.fill;
+    area._stroke = data.stroke;
+    area._G = data.gravity ? Vector.from(data.gravity) : null;
+    area._linearDrag = data.linearDrag;
+    area._quadraticDrag = data.quadraticDrag;
+    area._density = data.density;
+    area._calcBoundingBox();
+    return area;
+  }
+
+  /** Is the point (a Vector) inside this area? */
+  contains(point) {
+    switch (this._mode) {
+      case DrawableBodyMode.Rectangle:
+        return collidePointRect(point.x, point.y, this._pos.x, this._pos.y, this._w, this._h);
+      case DrawableBodyMode.Ellipse:
+        return collidePointEllipse(point.x, point.y, this._pos.x, this._pos.y, this._w, this._h);
+      case DrawableBodyMode.Path:
+        return collidePointPoly(point.x, point.y, this._path.map(v => new Vector(...v)));
+      default:
+        throw new Error(`contains(): Unknown draw mode ${this._mode}`);
+    }
+  }
+
+  /** Does the bounding box of the given DrawableBody overlap this area? */
+  overlaps(body) {
+    const bb = body._bb;
+    if (!collideRectRect(bb.pos.x, bb.pos.y, bb.w, bb.h, this._bb.pos.x, this._bb.pos.y, this._bb.w, this._bb.h)) return false;
+    switch (this._mode) {
+      case DrawableBodyMode.Rectangle:
+        return true;
+      case DrawableBodyMode.Ellipse: {
+        // Squash space vertically so that the ellipse becomes a circle of diameter w
+        const sy = this._w / this._h, cx = this._pos.x, cy = this._pos.y;
+        return collideRectCircle(bb.pos.x, cy + (bb.pos.y - cy) * sy, bb.w, bb.h * sy, cx, cy, this._w);
+      }
+      case DrawableBodyMode.Path:
+        return collideRectPoly(bb.pos.x, bb.pos.y, bb.w, bb.h, this._path.map(v => new Vector(...v)), true);
+      default:
+        throw new Error(`overlaps(): Unknown draw mode ${this._mode}`);
+    }
+  }
+
+  /** Approximate fraction [0, 1] of the given body's bounding box which lies inside this area's bounding box */
+  submerged(body) {
+    const bb = body._bb;
+    if (bb.w === 0 || bb.h === 0) return this.overlaps(body) ? 1 : 0;
+    const x1 = Math.max(bb.pos.x, this._bb.pos.x), x2 = Math.min(bb.pos.x + bb.w, this._bb.pos.x + this._bb.w);
+    const y1 = Math.max(bb.pos.y, this._bb.pos.y), y2 = Math.min(bb.pos.y + bb.h, this._bb.pos.y + this._bb.h);
+    if (x2 <= x1 || y2 <= y1) return 0;
+    return ((x2 - x1) * (y2 - y1)) / (bb.w * bb.h);
+  }
+
+  /** Get magnitude of drag force of this area on a body: Fd = (k1 * |v| + k2 * |v|^2) * fraction submerged */
+  dragForce(body) {
+    if (this._linearDrag === 0 && this._quadraticDrag === 0) return 0;
+    const speed = body.vel().mag();
+    return (this._linearDrag * speed + this._quadraticDrag * speed * speed) * this.submerged(body);
+  }
+
+  /**
+   * Apply drag and buoyancy to a body inside this area
+   * @param body Body which overlaps this area
+   * @param G Gravity vector acting on the body (used for buoyancy)
+   * @param dt Time step in ticks - drag is limited so that it cannot reverse the velocity within a time step
+   * @param maxDrag Largest drag force to apply - what is left of that limit once other drag on the body is applied (see World._substep)
+   */
+  apply(body, G = null, dt = 1, maxDrag = body.mass() * body.vel().mag() / dt) {
+    const fraction = this.submerged(body);
+    if (fraction === 0) return this;
+
+    // Drag, opposing velocity
+    const vel = body.vel(), drag = Math.min(this.dragForce(body), maxDrag);
+    if (drag > 0) body.applyForce(vel.setMag(-drag));
+
+    // Buoyancy: Fb = -ρ * V * g, where V is the displaced "volume"
+    if (this._density !== 0 && G) {
+      const displaced = body.shapeArea() * fraction;
+      body.applyForce(Vector.mult(G, -this._density * displaced));
+    }
+
+    return this;
+  }
+}
+
+export default Area;
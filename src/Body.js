@@ -1,27 +1,58 @@
 import { DrawableBodyMode, EdgeMode } from "./enums.js";
+import { getManifold } from "./collision.js";
+import { collideLineLine, collideRectRect } from "./collide.js";
+import { Vector } from "./Vector.js";
+import { colourToJSON } from "./serialize.js";
+import { Emitter } from "./Emitter.js";
 
-var __body_id = 0;
+const crossSV = (s, v) => new Vector(-s * v.y, s * v.x); // Cross product of scalar (z axis) and vector
 
-/** Base class for a body */
-export class Body {
+/**
+ * Base class for a body.
+ * Events: changePos, changeAngle, changeVel, changeAcc, sleep, wake (body), update (body, dt), collisionStart, collisionActive, collisionEnd (pair - see World)
+ */
+export class Body extends Emitter {
   constructor(x, y, w = 0, h = 0) {
-    this._id = __body_id++;
-    this._pos = createVector(x, y);
-    this._vel = createVector(0, 0);
-    this._acc = createVector(0, 0);
+    super();
+    this._id = null; // Assigned by World.addBody
+    this._pos = new Vector(x, y);
+    this._vel = new Vector(0, 0);
+    this._acc = new Vector(0, 0);
+    this._angle = 0; // Rotation about centre, in radians (clockwise on screen)
+    this._angVel = 0; // Angular velocity
+    this._angAcc = 0; // Angular acceleration
+    this._lastAcc = new Vector(0, 0); // Acceleration applied in the last update - for debug drawing, and the rest acceleration when falling asleep
+    this._lastAngAcc = 0; // Angular acceleration applied in the last update
+    this._prevPos = null; // Position at start of last World update - used for interpolation
+    this._prevAngle = 0; // Angle at start of last World update
     this._w = w;
     this._h = h;
     this._mass = 1;
     this._cr = 1; // Coefficient of restitution. 1 = perfectly elastic.
-    this.μ = 0; // Roughness - coefficient of friction. 0 = smooth.
+    this._charge = 0; // Electric charge (see World.k)
+    this._linearDrag = 0; // Coefficient of linear (Stokes) drag - force per unit speed
+    this._quadraticDrag = 0; // Drag coefficient of quadratic drag - force is 0.5 * density of medium * coefficient * cross-section * speed^2
+    this.μ = 0; // Roughness - coefficient of (kinetic) friction. 0 = smooth.
+    this.μs = null; // Coefficient of static friction. null = same as this.μ
 
     this._world = null;
     this.static = false; // Apply physics to said body?
     this.solid = true; // Can we collide with this Body?
+    this.ccd = false; // Use continuous collision detection? Stops fast bodies passing through thin bodies.
+    this.allowSleep = true; // May this body fall asleep when at rest? (see World.enableSleeping)
+    this._sleeping = false; // Asleep? Sleeping bodies are not updated, and act as static bodies until woken.
+    this._sleepTimer = 0; // Time (ms) this body has been at rest
+    this._restAcc = new Vector(0, 0); // Acceleration and angular acceleration from forces when it fell asleep (see World._wakeIfPushed)
+    this._restAngAcc = 0;
+    this.sensor = false; // Only detect overlaps (see World sensorEnter/sensorExit events) - never push or bounce off other bodies?
+    this._category = 0x0001; // Collision category - bit(s) identifying what this body is
+    this._mask = 0xFFFFFFFF; // Collision mask - categories this body collides with
+    this._group = 0; // Collision group. Bodies in the same positive group always collide, in the same negative group never collide. 0 = none.
 
     this.cbOnUpdate = () => true; // If returns false, update will halt
     this.cbOnApply = f => f; // NOTE - called before force is applied
     this.cbChangePos = () => { };
+    this.cbChangeAngle = () => { };
     this.cbChangeVel = () => { };
     this.cbChangeAcc = () => { };
   }
@@ -33,68 +64,128 @@ export class Body {
   /** Get/Set position vector (sets/returns a copy) */
   pos(vector = undefined) {
     if (vector === undefined) return this._pos.copy();
-    this._pos = vector.copy();
-    this.cbChangePos();
+    const pos = Vector.from(vector);
+    this._wakeIfChanged(!pos.equals(this._pos));
+    this._pos = pos;
+    this._changePos();
     return this;
   }
 
   posX(x = undefined) {
     if (x === undefined) return this._pos.x;
+    this._wakeIfChanged(+x !== this._pos.x);
     this._pos.x = +x;
-    this.cbChangePos();
+    this._changePos();
     return this;
   }
 
   posY(y = undefined) {
     if (y === undefined) return this._pos.y;
+    this._wakeIfChanged(+y !== this._pos.y);
     this._pos.y = +y;
-    this.cbChangePos();
+    this._changePos();
     return this;
   }
 
   /** Get/Set velocity vector (sets/returns a copy) */
   vel(vector = undefined) {
     if (vector === undefined) return this._vel.copy();
-    this._vel = vector.copy();
-    this.cbChangeVel();
+    const vel = Vector.from(vector);
+    this._wakeIfChanged(!vel.equals(this._vel));
+    this._vel = vel;
+    this._changeVel();
     return this;
   }
 
   velX(x = undefined) {
     if (x === undefined) return this._vel.x;
+    this._wakeIfChanged(+x !== this._vel.x);
     this._vel.x = +x;
-    this.cbChangeVel();
+    this._changeVel();
     return this;
   }
 
   velY(y = undefined) {
     if (y === undefined) return this._vel.y;
+    this._wakeIfChanged(+y !== this._vel.y);
     this._vel.y = +y;
-    this.cbChangeVel();
+    this._changeVel();
     return this;
   }
 
   /** Get/Set acceleration vector (sets/returns a copy) */
   acc(vector = undefined) {
     if (vector === undefined) return this._acc.copy();
-    this._acc = vector.copy();
+    this._acc = Vector.from(vector);
+    this._changeAcc();
     return this;
   }
 
   accX(x = undefined) {
     if (x === undefined) return this._acc.x;
     this._acc.x = +x;
-    this.cbChangeAcc();
+    this._changeAcc();
     return this;
   }
 
   accY(y = undefined) {
     if (y === undefined) return this._acc.y;
     this._acc.y = +y;
+    this._changeAcc();
+    return this;
+  }
+
+  /** Get/Set angle in radians */
+  angle(value = undefined) {
+    if (value === undefined) return this._angle;
+    this._wakeIfChanged(+value !== this._angle);
+    this._angle = +value;
+    this._changeAngle();
+    return this;
+  }
+
+  /** Position changed - notify listeners */
+  _changePos() {
+    this.cbChangePos();
+    this.emit('changePos', this);
+  }
+
+  /** Angle changed - notify listeners */
+  _changeAngle() {
+    this.cbChangeAngle();
+    this.emit('changeAngle', this);
+  }
+
+  /** Velocity changed - notify listeners */
+  _changeVel() {
+    this.cbChangeVel();
+    this.emit('changeVel', this);
+  }
+
+  /** Acceleration changed - notify listeners */
+  _changeAcc() {
     this.cbChangeAcc();
+    this.emit('changeAcc', this);
+  }
+
+  /** Get/Set angular velocity in radians per tick */
+  angularVel(value = undefined) {
+    if (value === undefined) return this._angVel;
+    this._wakeIfChanged(+value !== this._angVel);
+    this._angVel = +value;
     return this;
   }
 
+  /** Get centre of mass (about which the body rotates) */
+  centre() {
+    return this.pos();
+  }
+
+  /** Get velocity of a point (in world space) on this body, including rotation */
+  velocityAt(point) {
+    return this.vel().add(crossSV(this._angVel, Vector.sub(point, this.centre())));
+  }
+
   /** Get/Set width */
   width(value = undefined) {
     if (typeof value === 'number') {
@@ -122,6 +213,89 @@ export class Body {
     return this._mass;
   }
 
+  /** Get/Set electric charge */
+  charge(value = undefined) {
+    if (typeof value === 'number') {
+      this._charge = value;
+      return this;
+    }
+    return this._charge;
+  }
+
+  /** Get/Set coefficient of linear drag */
+  linearDrag(value = undefined) {
+    if (typeof value === 'number') {
+      this._linearDrag = Math.max(0, value);
+      return this;
+    }
+    return this._linearDrag;
+  }
+
+  /** Get/Set drag coefficient of quadratic drag */
+  quadraticDrag(value = undefined) {
+    if (typeof value === 'number') {
+      this._quadraticDrag = Math.max(0, value);
+      return this;
+    }
+    return this._quadraticDrag;
+  }
+
+  /** Get width of body facing the given direction (a Vector). Treats body as a w*h rectangle. */
+  crossSection(direction) {
+    const d = Vector.from(direction).normalize().rotate(-this._angle);
+    return Math.abs(this._w * d.y) + Math.abs(this._h * d.x);
+  }
+
+  /** Get magnitude of drag force at the given speed, moving in the given direction, through a medium of the given density */
+  dragForce(speed, direction, density) {
+    let F = this._linearDrag * speed;
+    if (this._quadraticDrag !== 0 && density !== 0) F += 0.5 * density * this._quadraticDrag * this.crossSection(direction) * speed * speed;
+    return F;
+  }
+
+  /**
+   * Apply drag, opposing velocity
+   * @param density Density of medium (see World.mediumDensity)
+   * @param dt Time step in ticks - drag is limited so that it cannot reverse the velocity within a time step
+   * @param maxDrag Largest drag force to apply - what is left of that limit once other drag on the body is applied (see World._substep)
+   */
+  applyDrag(density, dt = 1, maxDrag = this._mass * this._vel.mag() / dt) {
+    const speed = this._vel.mag();
+    if (speed === 0 || (this._linearDrag === 0 && this._quadraticDrag === 0)) return this;
+    const F = Math.min(this.dragForce(speed, this._vel, density), maxDrag);
+    if (F <= 0) return this;
+    return this.applyForce(this.vel().setMag(-F));
+  }
+
+  /**
+   * Get terminal velocity - the speed at which drag balances the gravity of the world
+   * @return {number} Speed, or Infinity if there is no drag
+   */
+  terminalVelocity() {
+    const W = this._world, G = W ? W.G : null;
+    if (!G || G.magSq() === 0) return Infinity;
+    const weight = this._mass * G.mag(), b = this._linearDrag;
+    const c = 0.5 * W.mediumDensity * this._quadraticDrag * this.crossSection(G);
+    if (c === 0) return b === 0 ? Infinity : weight / b;
+    return (-b + Math.sqrt(b * b + 4 * c * weight)) / (2 * c); // Solve b*v + c*v^2 = weight
+  }
+
+  /** Get inverse mass. Static bodies have infinite mass, so an inverse mass of 0. */
+  invMass() {
+    return this.static || this._sleeping || this._mass === 0 ? 0 : 1 / this._mass;
+  }
+
+  /** Get moment of inertia about centre. Treats body as a w*h rectangle. */
+  inertia() {
+    return this._mass * (this._w * this._w + this._h * this._h) / 12;
+  }
+
+  /** Get inverse moment of inertia. Static bodies cannot be rotated, so have an inverse inertia of 0. */
+  invInertia() {
+    const I = this.inertia();
+    return this.static || this._sleeping || I === 0 ? 0 : 1 / I;
+  }
+
   /** Get/Set value for coefficient of restitution - will be used in collisions */
   coefficientOfRestitution(val = undefined) {
     if (val === undefined) return this._cr;
@@ -131,7 +305,7 @@ export class Body {
     return this;
   }
 
-  /** Get/Set value for coefficient of friction */
+  /** Get/Set value for coefficient of (kinetic) friction */
   coefficientOfFriction(val = undefined) {
     if (val === undefined) return this.μ;
     if (val < 0) val = 0;
@@ -140,127 +314,736 @@ export class Body {
     return this;
   }
 
-  /* Apply physics to said particle */
-  update() {
-    if (!this.static || this.cbOnUpdate() === false) {
-      this.vel(this.vel().add(this.acc())); // Apply acceleration - change of velocity
-      this.pos(this.pos().add(this.vel())); // Apply velocity - change of position
-      this.acc(createVector(0, 0));
+  /** Get/Set value for coefficient of static friction. Set to null to use the coefficient of kinetic friction. */
+  coefficientOfStaticFriction(val = undefined) {
+    if (val === undefined) return this.μs === null ? this.μ : this.μs;
+    if (val !== null) {
+      if (val < 0) val = 0;
+      else if (val > 1 || !isFinite(val) || isNaN(val)) val = 1;
+    }
+    this.μs = val;
+    return this;
+  }
+
+  /** Get/Set collision category bits (see Body.canCollide) */
+  collisionCategory(value = undefined) {
+    if (value === undefined) return this._category;
+    this._category = value >>> 0;
+    return this;
+  }
+
+  /** Get/Set collision mask - bits of categories this body collides with (see Body.canCollide) */
+  collisionMask(value = undefined) {
+    if (value === undefined) return this._mask;
+    this._mask = value >>> 0;
+    return this;
+  }
+
+  /** Get/Set collision group (see Body.canCollide) */
+  collisionGroup(value = undefined) {
+    if (value === undefined) return this._group;
+    this._group = Math.trunc(value);
+    return this;
+  }
+
+  /**
+   * Does the collision filter allow two bodies to collide?
+   * If both share a non-zero group, they always collide if it is positive and never if it is negative.
+   * Otherwise, each body's category must be in the other's mask.
+   */
+  static canCollide(a, b) {
+    if (a._group !== 0 && a._group === b._group) return a._group > 0;
+    return (a._category & b._mask) !== 0 && (b._category & a._mask) !== 0;
+  }
+
+  /** Is this body asleep? */
+  sleeping() {
+    return this._sleeping;
+  }
+
+  /** Put body to sleep - it stops moving until woken */
+  sleep() {
+    if (this.static) return this;
+    this._sleeping = true;
+    this._restAcc = this._lastAcc; // Forces it rests under - a change of these wakes it
+    this._restAngAcc = this._lastAngAcc;
+    this._vel = new Vector(0, 0);
+    this._acc = new Vector(0, 0);
+    this._lastAcc = new Vector(0, 0);
+    this._angVel = 0;
+    this._angAcc = 0;
+    this._lastAngAcc = 0;
+    this.emit('sleep', this);
+    return this;
+  }
+
+  /** Wake body up */
+  wake() {
+    this._sleepTimer = 0;
+    if (this._sleeping) {
+      this._sleeping = false;
+      this.emit('wake', this);
+    }
+    return this;
+  }
+
+  /** Speed of fastest point of body (approximately) - used to decide when it is at rest */
+  _motion() {
+    return this._vel.mag() + Math.abs(this._angVel) * Math.max(this._w, this._h) / 2;
+  }
+
+  /** Wake body if it is acted on from outside of a World update */
+  _wakeIfExternal() {
+    if (this._sleeping && !(this._world && this._world._stepping)) this.wake();
+  }
+
+  /** Wake body if a setter changed its position, angle or velocity - a sleeping body is not moved by the World */
+  _wakeIfChanged(changed) {
+    if (changed && this._sleeping) this.wake();
+  }
+
+  /** Record current state, so that rendering can interpolate between this and the next state */
+  _savePrevious() {
+    this._prevPos = this._pos.copy();
+    this._prevAngle = this._angle;
+  }
+
+  /**
+   * Apply physics to said particle
+   * @param dt Time step in ticks
+   */
+  update(dt = 1) {
+    if (!this.static && this.cbOnUpdate() !== false) {
+      this.vel(this.vel().add(this.acc().mult(dt))); // Apply acceleration - change of velocity
+      this.pos(this.pos().add(this.vel().mult(dt))); // Apply velocity - change of position
+      this._lastAcc = this._acc;
+      this.acc(new Vector(0, 0));
+      this._angVel += this._angAcc * dt;
+      if (this._angVel !== 0) this.angle(this._angle + this._angVel * dt);
+      this._lastAngAcc = this._angAcc;
+      this._angAcc = 0;
+      this.emit('update', this, dt);
       return true;
     }
     return false;
   }
 
   /**
-   * Apply force to said particle, using F = ma
-   * @param force P5 vector
+   * Apply force to said particle, using F = ma. Forces are accumulated until the next update, and scaled by its time step.
+   * @param force Vector
    */
   applyForce(force) {
+    this._wakeIfExternal();
+    if (this._world) this._world._recordForce(this, force);
+    return this._addForce(force);
+  }
+
+  /** Apply force without it being recorded. Forces on a sleeping body are kept, so that the World can tell whether they wake it. */
+  _addForce(force) {
     if (!this.static) {
-      let f = p5.Vector.div(force, this._mass);
+      let f = Vector.div(force, this._mass);
       f = this.cbOnApply(f);
       this.acc(this.acc().add(f));
     }
     return this;
   }
 
-  /** Take action if body is at edge of world, depending on World setup */
+  /** Apply torque to said particle, using τ = Iα */
+  applyTorque(torque) {
+    this._wakeIfExternal();
+    if (this._world) this._world._recordTorque(this, torque);
+    return this._addTorque(torque);
+  }
+
+  /** Apply torque without it being recorded */
+  _addTorque(torque) {
+    const I = this.inertia();
+    if (!this.static && I !== 0) this._angAcc += torque / I; // Not invInertia(), which is 0 while asleep
+    return this;
+  }
+
+  /**
+   * Apply force at a point (in world space). Off-centre forces create a torque.
+   * @param force Vector
+   * @param point Vector
+   */
+  applyForceAtPoint(force, point) {
+    this._wakeIfExternal();
+    if (this._world) this._world._recordForce(this, force, point);
+    this._addForce(force);
+    this._addTorque(Vector.cross(Vector.sub(point, this.centre()), force));
+    return this;
+  }
+
+  /** Apply impulse J at a point (in world space) - instantaneously changes linear and angular velocity */
+  applyImpulse(J, point) {
+    this._wakeIfExternal();
+    if (this.static || this._sleeping) return this;
+    this.vel(this.vel().add(Vector.mult(J, this.invMass())));
+    this._angVel += Vector.cross(Vector.sub(point, this.centre()), J) * this.invInertia();
+    return this;
+  }
+
+  /** Serialize to a plain object (see World.toJSON) */
+  toJSON() {
+    return {
+      type: 'Body',
+      id: this._id,
+      pos: this._pos.toJSON(),
+      vel: this._vel.toJSON(),
+      acc: this._acc.toJSON(),
+      angle: this._angle,
+      angularVel: this._angVel,
+      angularAcc: this._angAcc,
+      w: this._w,
+      h: this._h,
+      mass: this._mass,
+      charge: this._charge,
+      linearDrag: this._linearDrag,
+      quadraticDrag: this._quadraticDrag,
+      restitution: this._cr,
+      friction: this.μ,
+      staticFriction: this.μs,
+      static: this.static,
+      solid: this.solid,
+      ccd: this.ccd,
+      sensor: this.sensor,
+      allowSleep: this.allowSleep,
+      sleeping: this._sleeping,
+      sleepTimer: this._sleepTimer,
+      restAcc: this._restAcc.toJSON(),
+      restAngAcc: this._restAngAcc,
+      category: this._category,
+      mask: this._mask,
+      group: this._group,
+    };
+  }
+
+  /** Create a body from the output of toJSON() */
+  static fromJSON(data) {
+    return new this(data.pos.x, data.pos.y, data.w, data.h)._fromJSON(data);
+  }
+
+  /** Load properties from the output of toJSON() */
+  _fromJSON(data) {
+    this._id = data.id;
+    this._pos = Vector.from(data.pos);
+    this._vel = Vector.from(data.vel);
+    this._acc = Vector.from(data.acc);
+    this._angle = data.angle;
+    this._angVel = data.angularVel;
+    if (data.angularAcc !== undefined) this._angAcc = data.angularAcc;
+    this._w = data.w;
+    this._h = data.h;
+    this._mass = data.mass;
+    if (data.charge !== undefined) this._charge = data.charge;
+    if (data.linearDrag !== undefined) this._linearDrag = data.linearDrag;
+    if (data.quadraticDrag !== undefined) this._quadraticDrag = data.quadraticDrag;
+    this._cr = data.restitution;
+    this.μ = data.friction;
+    this.μs = data.staticFriction;
+    this.static = data.static;
+    this.solid = data.solid;
+    this.ccd = data.ccd;
+    if (data.sensor !== undefined) this.sensor = data.sensor;
+    if (data.allowSleep !== undefined) this.allowSleep = data.allowSleep;
+    if (data.sleeping !== undefined) this._sleeping = data.sleeping;
+    if (data.sleepTimer !== undefined) this._sleepTimer = data.sleepTimer;
+    if (data.restAcc) this._restAcc = Vector.from(data.restAcc);
+    if (data.restAngAcc !== undefined) this._restAngAcc = data.restAngAcc;
+    if (data.category !== undefined) this._category = data.category;
+    if (data.mask !== undefined) this._mask = data.mask;
+    if (data.group !== undefined) this._group = data.group;
+    return this;
+  }
+
+  /** Get extents { left, top, right, bottom } of body - used for world edges */
+  _extents() {
+    return { left: this._pos.x, top: this._pos.y, right: this._pos.x + this._w, bottom: this._pos.y + this._h };
+  }
+
+  /**
+   * Take action if body is at an edge of its world, according to the World.edgeMode of that edge
+   * @return {boolean} False if body has left through an edge of mode EdgeMode.Remove, so should be removed from the world
+   */
   edges() {
     const W = this._world;
-    switch (W.edgeMode) {
-      case EdgeMode.None:
-        break;
-      case EdgeMode.Hold:
-        // Align self with world edge
-        if (this.posX() < W.x) this.posX(W.x);
-        if (this.posX() > W.x + W.w) this.posX(W.x + W.w);
-        if (this.posY() < W.y) this.posY(W.y);
-        if (this.posY() > W.y + W.h) this.posY(W.y + W.h);
-        break;
-      case EdgeMode.Wrap:
-        if (this.posX() < W.x) this.posX(W.x + W.w);
-        else if (this.posX() > W.x + W.w) this.posX(W.x);
-        if (this.posY() < W.y) this.posY(W.y + W.h);
-        else if (this.posY() > W.y + W.h) this.posY(W.y);
-        break;
-      case EdgeMode.Bounce:
-        if (this.posX() < W.x) {
-          this.posX(W.x);
-          this.velX(-this.velX());
-        } else if (this.posX() > W.x + W.w) {
-          this.posX(W.x + W.w);
-          this.velX(-this.velX());
-        }
-        if (this.posY() < W.y) {
-          this.posY(W.y);
-          this.velY(-this.velY());
-        } else if (this.posY() > W.y + W.h) {
-          this.posY(W.y + W.h);
-          this.velY(-this.velY());
-        }
-        break;
-      default:
-        console.warn(`edges(): Unknown edge mode '${W.edgeMode}'`);
+    if (this.static) return true;
+    const e = this._extents(), minX = W.x, maxX = W.x + W.w, minY = W.y, maxY = W.y + W.h;
+    const sides = [
+      // over: distance past edge; gone: entirely past edge?; wrap: shift to the far side of the opposite edge
+      { side: 'left', axis: 'x', sign: -1, over: minX - e.left, gone: e.right < minX, wrap: maxX - e.left },
+      { side: 'right', axis: 'x', sign: 1, over: e.right - maxX, gone: e.left > maxX, wrap: minX - e.right },
+      { side: 'top', axis: 'y', sign: -1, over: minY - e.top, gone: e.bottom < minY, wrap: maxY - e.top },
+      { side: 'bottom', axis: 'y', sign: 1, over: e.bottom - maxY, gone: e.top > maxY, wrap: minY - e.bottom },
+    ];
+
+    for (const { side, axis, sign, over, gone, wrap } of sides) {
+      const mode = W.getEdgeMode(side), other = axis === 'x' ? 'y' : 'x';
+      switch (mode) {
+        case EdgeMode.None:
+          break;
+        case EdgeMode.Hold:
+          // Align self with world edge, and stop moving through it
+          if (over > 0) {
+            this._pos[axis] -= sign * over;
+            this._changePos();
+            if (this._vel[axis] * sign > 0) {
+              this._vel[axis] = 0;
+              this._changeVel();
+            }
+          }
+          break;
+        case EdgeMode.Wrap:
+          // Once entirely past the edge, move to just beyond the opposite edge
+          if (gone) {
+            this._pos[axis] += wrap;
+            if (this._prevPos) this._prevPos[axis] += wrap; // Do not interpolate across the world
+            this._changePos();
+          }
+          break;
+        case EdgeMode.Bounce:
+          if (over > 0) {
+            this._pos[axis] -= sign * over;
+            this._changePos();
+            const vn = this._vel[axis] * sign; // Speed towards edge
+            if (vn > 0) {
+              const cr = vn < W.restingThreshold ? 0 : Math.min(this._cr, W.edgeRestitution);
+              this._vel[axis] = -sign * cr * vn;
+              // Friction - change of speed along edge is limited to μ * change of speed into edge
+              const μ = (this.coefficientOfFriction() + W.edgeFriction) / 2, vt = this._vel[other];
+              this._vel[other] -= Math.sign(vt) * Math.min(Math.abs(vt), μ * (1 + cr) * vn);
+              this._changeVel();
+            }
+          }
+          break;
+        case EdgeMode.Remove:
+          if (gone) return false;
+          break;
+        default:
+          console.warn(`edges(): Unknown edge mode '${mode}' of ${side} edge`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Push two overlapping bodies apart along the manifold normal, in proportion to their inverse masses.
+   * If they touch at two points of different depth, first turn them (in proportion to their inverse inertias) to even out the depths,
+   * so that a body resting tilted on a flat face is turned flat again - otherwise the tilted face would push the body above it sideways.
+   * @param m Manifold
+   * @param percent Fraction of the penetration to correct
+   * @param slop Penetration allowed without correction (prevents jittering)
+   */
+  static separate(m, percent = 0.8, slop = 0.05) {
+    const { a, b, normal } = m;
+    const invMassSum = a.invMass() + b.invMass();
+    if (invMassSum === 0) return;
+    let depth = m.depth;
+    const invInertiaSum = a.invInertia() + b.invInertia();
+    if (m.contacts.length === 2 && invInertiaSum !== 0) {
+      const ca = a.centre(), cb = b.centre(), [c0, c1] = m.contacts;
+      const length = Vector.cross(Vector.sub(c0, c1), normal); // Signed distance between the contacts, across the normal
+      if (length !== 0) {
+        const turn = -percent * (m.depths[0] - m.depths[1]) / length; // Relative rotation of a to b which evens out the depths
+        const θa = turn * a.invInertia() / invInertiaSum, θb = θa - turn;
+        // Depths once turned - a contact moves along the normal by θ * (r x n)
+        depth = Math.max(...m.contacts.map((c, i) => m.depths[i] + θa * Vector.cross(Vector.sub(c, ca), normal) - θb * Vector.cross(Vector.sub(c, cb), normal)));
+        if (θa !== 0) a.angle(a.angle() + θa);
+        if (θb !== 0) b.angle(b.angle() + θb);
+      }
     }
+    const amount = Math.max(depth - slop, 0) / invMassSum * percent;
+    if (amount === 0) return;
+    const correction = Vector.mult(normal, amount);
+    if (a.invMass() !== 0) a.pos(a.pos().sub(Vector.mult(correction, a.invMass())));
+    if (b.invMass() !== 0) b.pos(b.pos().add(Vector.mult(correction, b.invMass())));
   }
 
-  show() {
-    throw new Error(`#<Body> :: method show() requires overload`);
+  /**
+   * <a, b> have collided... what now?
+   * Apply one iteration of an impulse along the contact normal at each contact point of manifold m. Called several times per update.
+   * The two contacts of a face resting on a face are solved together (see Body._collideBlock).
+   * @param m Manifold (normal points from a to b)
+   * @param restingThreshold Approach speed below which a contact is treated as resting (no bounce)
+   * @return {number} Change in total normal impulse
+   */
+  static collide(m, restingThreshold = 0) {
+    const { a, b, normal } = m;
+    if (a.invMass() + b.invMass() === 0) return 0; // Static bodies have infinite mass
+    if (m.bias === undefined) Body._prepare(m, restingThreshold);
+
+    if (m.K) return Body._collideBlock(m);
+
+    let total = 0;
+    m.contacts.forEach((c, i) => {
+      const vn = b.velocityAt(c).sub(a.velocityAt(c)).dot(normal); // Relative velocity along normal
+
+      // Impulse required to reach target separation speed. Total impulse may only push bodies apart.
+      let j = (m.bias[i] - vn) * m.massN[i];
+      const jn = Math.max(m.jn[i] + j, 0);
+      j = jn - m.jn[i];
+      m.jn[i] = jn;
+      if (j === 0) return;
+
+      const impulse = Vector.mult(normal, j);
+      a.applyImpulse(Vector.mult(impulse, -1), c);
+      b.applyImpulse(impulse, c);
+      total += j;
+    });
+    return total;
   }
 
-  /** Given a body, calculate the response friction force to apply to said body */
-  friction(body) {
-    // Fr = -1 * μ * N * norm(i)
-    let Fr = body.vel.copy().normalize().setMag(-1 * this.μ * body.mass());
-    return Fr;
+  /**
+   * Solve the normal impulses of a two-point contact together, so that one contact cannot leave the body turning into the other.
+   * Finds the impulses [j0, j1] >= 0 at which each contact reaches its target speed, or is separating with no impulse.
+   * @param m Manifold with two contacts, prepared by Body._prepare
+   * @return {number} Change in total normal impulse
+   */
+  static _collideBlock(m) {
+    const { a, b, normal, contacts: [c0, c1], jn: [j0, j1] } = m;
+    const [[k00, k01], [, k11]] = m.K;
+    // Speeds relative to the targets, less those due to the impulses so far
+    const v0 = b.velocityAt(c0).sub(a.velocityAt(c0)).dot(normal) - m.bias[0] - (k00 * j0 + k01 * j1);
+    const v1 = b.velocityAt(c1).sub(a.velocityAt(c1)).dot(normal) - m.bias[1] - (k01 * j0 + k11 * j1);
+
+    // Try both contacts pushing, then either one alone, then neither
+    const det = k00 * k11 - k01 * k01;
+    const x0 = (k01 * v1 - k11 * v0) / det, x1 = (k01 * v0 - k00 * v1) / det;
+    let x;
+    if (x0 >= 0 && x1 >= 0) x = [x0, x1];
+    else if (-v0 / k00 >= 0 && k01 * -v0 / k00 + v1 >= 0) x = [-v0 / k00, 0];
+    else if (-v1 / k11 >= 0 && k01 * -v1 / k11 + v0 >= 0) x = [0, -v1 / k11];
+    else if (v0 >= 0 && v1 >= 0) x = [0, 0];
+    else return 0;
+
+    const d0 = x[0] - j0, d1 = x[1] - j1;
+    m.jn = x;
+    [[c0, d0], [c1, d1]].forEach(([c, j]) => {
+      if (j === 0) return;
+      const impulse = Vector.mult(normal, j);
+      a.applyImpulse(Vector.mult(impulse, -1), c);
+      b.applyImpulse(impulse, c);
+    });
+    return d0 + d1;
   }
 
-  /** <a, b> have collided... what now? */
-  static collide(a, b) {
-    if (a.solid && b.solid) {
-      // For static bodies: disregard mass
-      if (a.static) {
-        b.vel(b.vel().mult(-b.coefficientOfRestitution()));
-        return;
-      } else if (b.static) {
-        b.vel(a.vel().mult(-a.coefficientOfRestitution()));
-        return;
-      }
+  /** Calculate contact arms, effective mass and target separation speed of each contact of manifold m - before the first iteration */
+  static _prepare(m, restingThreshold) {
+    const { a, b, normal } = m;
+    const cr = Math.min(a.coefficientOfRestitution(), b.coefficientOfRestitution()); // Combined coefficient of restitution
+    const tangent = new Vector(-normal.y, normal.x);
+    const ca = a.centre(), cb = b.centre();
+    m.ra = m.contacts.map(c => Vector.sub(c, ca));
+    m.rb = m.contacts.map(c => Vector.sub(c, cb));
+    const effectiveMass = dir => m.contacts.map((_, i) => {
+      const rna = Vector.cross(m.ra[i], dir), rnb = Vector.cross(m.rb[i], dir);
+      const k = a.invMass() + b.invMass() + rna * rna * a.invInertia() + rnb * rnb * b.invInertia();
+      return k === 0 ? 0 : 1 / k;
+    });
+    m.massN = effectiveMass(normal);
+    m.massT = effectiveMass(tangent);
+    // Two contacts: speed along the normal at each contact per unit impulse at each, for Body._collideBlock
+    m.K = undefined;
+    if (m.contacts.length === 2) {
+      const rn = m.contacts.map((_, i) => [Vector.cross(m.ra[i], normal), Vector.cross(m.rb[i], normal)]);
+      const k = (i, l) => a.invMass() + b.invMass() + rn[i][0] * rn[l][0] * a.invInertia() + rn[i][1] * rn[l][1] * b.invInertia();
+      const K = [[k(0, 0), k(0, 1)], [k(0, 1), k(1, 1)]];
+      if (K[0][0] * K[0][0] < 1000 * (K[0][0] * K[1][1] - K[0][1] * K[0][1])) m.K = K; // Else the contacts are too close to tell apart
+    }
+    m.bias = m.contacts.map(c => {
+      const vn = b.velocityAt(c).sub(a.velocityAt(c)).dot(normal);
+      return -vn > restingThreshold ? -cr * vn : 0;
+    });
+    m.jn = m.contacts.map(() => 0); // Accumulated normal impulse
+    m.jt = m.contacts.map(() => 0); // Accumulated tangential impulse
+  }
 
-      const a_m = a.mass(), b_m = b.mass();
-      const a_mu = a.vel().mult(a_m); // a: mass * velocity
-      const b_mu = b.vel().mult(b_m); // a: mass * velocity
+  /**
+   * Warm start manifold m: apply the impulses accumulated at matching contacts of the same pair in the previous update,
+   * so that the solver starts near the solution of resting contacts (e.g. in a stack) rather than from zero.
+   * @param m Manifold (normal points from a to b)
+   * @param previous Manifold of the same pair of bodies from the previous update, or null
+   * @param restingThreshold See Body.collide
+   * @param distance Max distance (pixels) between a contact and the previous contact it matches
+   */
+  static warmStart(m, previous, restingThreshold = 0, distance = 2) {
+    const { a, b, normal } = m;
+    Body._prepare(m, restingThreshold);
+    if (!previous || previous.jn === undefined || a.invMass() + b.invMass() === 0) return;
+    if (previous.normal.dot(normal) * (previous.a === a ? 1 : -1) < 0.95) return; // Bodies have turned
+    const tangent = new Vector(-normal.y, normal.x);
+    m.contacts.forEach((c, i) => {
+      let match = -1, best = distance;
+      previous.contacts.forEach((p, k) => {
+        const d = Vector.dist(c, p);
+        if (d < best) {
+          best = d;
+          match = k;
+        }
+      });
+      if (match === -1) return;
+      m.jn[i] = previous.jn[match];
+      m.jt[i] = previous.jt[match];
+      const impulse = Vector.mult(normal, m.jn[i]).add(Vector.mult(tangent, m.jt[i]));
+      a.applyImpulse(Vector.mult(impulse, -1), c);
+      b.applyImpulse(impulse, c);
+    });
+  }
+
+  /**
+   * Apply one iteration of Coulomb friction at each contact point of manifold m. Must be called after Body.collide(m).
+   * Friction impulse is limited to μs * normal impulse while sticking and μ * normal impulse while sliding.
+   * @param m Manifold (normal points from a to b)
+   * @return {number} Change in total tangential impulse
+   */
+  static friction(m) {
+    const { a, b, normal } = m;
+    if (m.jn === undefined) return 0;
+
+    // Combined coefficients - mean of both bodies', so one rough surface is enough to slow a body down
+    const μs = (a.coefficientOfStaticFriction() + b.coefficientOfStaticFriction()) / 2;
+    const μk = (a.coefficientOfFriction() + b.coefficientOfFriction()) / 2;
+    if (μs === 0 && μk === 0) return 0;
+
+    const tangent = new Vector(-normal.y, normal.x);
+    let total = 0;
+    m.contacts.forEach((c, i) => {
+      if (m.jn[i] === 0) return;
+      const vt = b.velocityAt(c).sub(a.velocityAt(c)).dot(tangent); // Relative velocity along tangent
 
-      // v(a) = [Cr * m(b) * [u(b) - u(a)] + m(a) * u(a) + m(b) * u(b)] / [m(a) + m(b)]
-      let velA = b.vel().sub(a.vel()).mult(b_m).mult(a.coefficientOfRestitution()).add(a_mu).add(b_mu).div(a_m + b_m);
+      // Impulse required to stop sliding. If static friction cannot provide it, slide with kinetic friction.
+      let jt = m.jt[i] - vt * m.massT[i];
+      if (Math.abs(jt) > μs * m.jn[i]) jt = Math.sign(jt) * μk * m.jn[i];
+      const j = jt - m.jt[i];
+      m.jt[i] = jt;
+      if (j === 0) return;
 
-      // v(b) = [Cr * m(a) * [u(a) - u(b)] + m(a) * u(a) + m(b) * u(b)] / [m(a) + m(b)]
-      let velB = a.vel().sub(b.vel()).mult(a_m).mult(b.coefficientOfRestitution()).add(a_mu).add(b_mu).div(a_m + b_m);
+      const impulse = Vector.mult(tangent, j);
+      a.applyImpulse(Vector.mult(impulse, -1), c);
+      b.applyImpulse(impulse, c);
+      total += j;
+    });
+    return total;
+  }
+}
+
+/** Area-weighted centroid of a polygon given as [x, y] vertices */
+export function polygonCentroid(vertices) {
+  let cx = 0, cy = 0, a = 0;
+  for (let i = 0, n = vertices.length; i < n; i++) {
+    const [x1, y1] = vertices[i], [x2, y2] = vertices[(i + 1) % n];
+    const cross = x1 * y2 - x2 * y1;
+    a += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  if (a === 0) return vertices.length === 0 ? [0, 0] : [vertices[0][0], vertices[0][1]]; // Degenerate
+  return [cx / (3 * a), cy / (3 * a)];
+}
+
+/** Area of a polygon given as [x, y] vertices (shoelace formula) */
+export function polygonArea(vertices) {
+  let sum = 0;
+  for (let i = 0, n = vertices.length; i < n; i++) {
+    const [x1, y1] = vertices[i], [x2, y2] = vertices[(i + 1) % n];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(sum) / 2;
+}
 
-      a.vel(velA);
-      b.vel(velB);
+/** Moment of inertia per unit mass of a polygon of uniform density given as [x, y] vertices, about the given centroid */
+export function polygonInertia(vertices, centroid) {
+  const [cx, cy] = centroid;
+  let num = 0, den = 0;
+  for (let i = 0, n = vertices.length; i < n; i++) {
+    const x1 = vertices[i][0] - cx, y1 = vertices[i][1] - cy;
+    const x2 = vertices[(i + 1) % n][0] - cx, y2 = vertices[(i + 1) % n][1] - cy;
+    const cross = x1 * y2 - x2 * y1;
+    num += cross * (x1 * x1 + x1 * x2 + x2 * x2 + y1 * y1 + y1 * y2 + y2 * y2);
+    den += cross;
+  }
+  return den === 0 ? 0 : num / (6 * den);
+}
+
+/** Cross product of the edges a -> b and b -> c of [x, y] vertices. Positive = left turn, if the polygon has positive signed area */
+const turn = (a, b, c) => (b[0] - a[0]) * (c[1] - b[1]) - (b[1] - a[1]) * (c[0] - b[0]);
+
+/** Is the polygon (indices into vertices, with positive signed area) convex? */
+const isConvex = (vertices, indices) => indices.every((b, i) => {
+  const n = indices.length, a = indices[(i + n - 1) % n], c = indices[(i + 1) % n];
+  return turn(vertices[a], vertices[b], vertices[c]) >= -1e-9;
+});
+
+/** Do any two edges of the polygon given as [x, y] vertices cross, other than neighbours meeting at a vertex? */
+function intersectsItself(vertices) {
+  const n = vertices.length;
+  for (let i = 0; i < n; i++) {
+    const a = vertices[i], b = vertices[(i + 1) % n];
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue; // Neighbours
+      const c = vertices[j], d = vertices[(j + 1) % n];
+      if (collideLineLine(a[0], a[1], b[0], b[1], c[0], c[1], d[0], d[1])) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Split a simple polygon given as [x, y] vertices into convex pieces: triangulate by ear clipping, then merge
+ * neighbouring pieces while they stay convex (Hertel-Mehlhorn).
+ * @return {number[][] | null} Indices into vertices of each piece, or NULL if the polygon intersects itself
+ */
+export function convexPieces(vertices) {
+  if (intersectsItself(vertices)) return null;
+  let signed = 0;
+  for (let i = 0, n = vertices.length; i < n; i++) {
+    const [x1, y1] = vertices[i], [x2, y2] = vertices[(i + 1) % n];
+    signed += x1 * y2 - x2 * y1;
+  }
+  const indices = vertices.map((_, i) => i);
+  if (signed < 0) indices.reverse();
+  if (vertices.length < 4 || isConvex(vertices, indices)) return [indices];
+
+  // Ear clipping
+  const pieces = [], remaining = indices.slice();
+  const inside = (p, a, b, c) => turn(a, b, p) >= 0 && turn(b, c, p) >= 0 && turn(c, a, p) >= 0;
+  while (remaining.length > 3) {
+    const n = remaining.length;
+    let ear = -1;
+    for (let i = 0; i < n && ear === -1; i++) {
+      const a = vertices[remaining[(i + n - 1) % n]], b = vertices[remaining[i]], c = vertices[remaining[(i + 1) % n]];
+      if (turn(a, b, c) <= 0) continue; // Reflex or flat
+      let empty = true;
+      for (let j = 0; j < n && empty; j++) {
+        if (Math.abs(j - i) > 1 && Math.abs(j - i) !== n - 1 && inside(vertices[remaining[j]], a, b, c)) empty = false;
+      }
+      if (empty) ear = i;
+    }
+    if (ear === -1) return null;
+    pieces.push([remaining[(ear + n - 1) % n], remaining[ear], remaining[(ear + 1) % n]]);
+    remaining.splice(ear, 1);
+  }
+  pieces.push(remaining);
+
+  // Merge pieces which share an edge, if the result is convex
+  let merged = true;
+  while (merged) {
+    merged = false;
+    for (let p = 0; p < pieces.length && !merged; p++) {
+      for (let q = p + 1; q < pieces.length && !merged; q++) {
+        const P = pieces[p], Q = pieces[q];
+        for (let i = 0; i < P.length && !merged; i++) {
+          const u = P[i], v = P[(i + 1) % P.length], j = Q.indexOf(v);
+          if (j === -1 || Q[(j + 1) % Q.length] !== u) continue;
+          // P from v round to u, then Q between u and v
+          const start = (i + 1) % P.length, joined = P.slice(start).concat(P.slice(0, start));
+          for (let k = (j + 2) % Q.length; Q[k] !== v; k = (k + 1) % Q.length) joined.push(Q[k]);
+          if (isConvex(vertices, joined)) {
+            pieces.splice(q, 1);
+            pieces[p] = joined;
+            merged = true;
+          }
+        }
+      }
     }
   }
+  return pieces;
 }
 
+/** Number of sides of the polygon which approximates a non-circular ellipse for collisions */
+const ELLIPSE_SEGMENTS = 24;
+
+/**
+ * Vertices of a polygon approximating an ellipse
+ * @param centre Vector
+ * @param w Width
+ * @param h Height
+ * @param angle Rotation
+ * @return {Vector[]}
+ */
+export function ellipseVertices(centre, w, h, angle) {
+  const cos = Math.cos(angle), sin = Math.sin(angle), vertices = [];
+  for (let i = 0; i < ELLIPSE_SEGMENTS; i++) {
+    const t = 2 * Math.PI * i / ELLIPSE_SEGMENTS, [x, y] = rotate(w / 2 * Math.cos(t), h / 2 * Math.sin(t), cos, sin);
+    vertices.push(new Vector(centre.x + x, centre.y + y));
+  }
+  return vertices;
+}
+
+/** Rotate [x, y] by the given cos/sin of an angle */
+export const rotate = (x, y, cos, sin) => ([x * cos - y * sin, x * sin + y * cos]);
+
 /** Drawable body */
 export class DrawableBody extends Body {
   constructor(x, y, w, h) {
     super(x, y, w, h);
-    this._stroke = null; // P5 colour object OR null
-    this._fill = color(0); // P5 colour object OR null
+    this._stroke = null; // Colour (array of arguments to P5's color()) OR null
+    this._fill = [0]; // Colour (array of arguments to P5's color()) OR null
     this._mode = DrawableBodyMode.Rectangle;
-    this._oPath = []; // Path vertices relative to this.pos
-    this._path = []; // If mode=Path :: path to draw (relative to this.pos)
+    this._oPath = []; // Path vertices relative to this.pos, at angle 0
+    this._oCentroid = [0, 0]; // Centroid of this._oPath
+    this._oPieces = []; // Convex pieces of this._oPath - arrays of indices (see convexPieces)
+    this._path = []; // If mode=Path :: path to draw (in world space)
     this._pointMotion = false; // Point shape in direction of motion?
-    this._bb = { pos: createVector(NaN, NaN), w: 0, h: 0 }; // BOUNDING BOX
+    this._bb = { pos: new Vector(NaN, NaN), w: 0, h: 0 }; // BOUNDING BOX
+    this._calcBoundingBox();
+  }
+
+  _changePos() {
+    this._transform();
+    super._changePos();
+  }
+
+  _changeAngle() {
+    this._transform();
+    super._changeAngle();
+  }
+
+  _extents() {
+    const bb = this._bb;
+    return { left: bb.pos.x, top: bb.pos.y, right: bb.pos.x + bb.w, bottom: bb.pos.y + bb.h };
+  }
+
+  /** Recalculate path and bounding box after a change of position or angle */
+  _transform() {
+    if (this._mode === DrawableBodyMode.Path) {
+      const [cx, cy] = this._oCentroid, cos = Math.cos(this._angle), sin = Math.sin(this._angle);
+      this._path = this._oPath.map(v => {
+        const [x, y] = rotate(v[0] - cx, v[1] - cy, cos, sin);
+        return [this._pos.x + cx + x, this._pos.y + cy + y];
+      });
+    }
     this._calcBoundingBox();
+  }
 
-    this.cbChangePos = () => {
-      if (this._mode === DrawableBodyMode.Path) {
-        this._path = this._oPath.map(v => ([v[0] + this._pos.x, v[1] + this._pos.y]));
+  /** Get corners of rectangle, rotated about its centre */
+  _corners() {
+    const c = this.centre(), w2 = this._w / 2, h2 = this._h / 2, cos = Math.cos(this._angle), sin = Math.sin(this._angle);
+    return [[-w2, -h2], [w2, -h2], [w2, h2], [-w2, h2]].map(([x, y]) => {
+      const r = rotate(x, y, cos, sin);
+      return new Vector(c.x + r[0], c.y + r[1]);
+    });
+  }
+
+  crossSection(direction) {
+    const d = Vector.from(direction).normalize(), n = new Vector(-d.y, d.x); // Measure across the direction
+    switch (this._mode) {
+      case DrawableBodyMode.Point:
+        return 0;
+      case DrawableBodyMode.Ellipse: {
+        const a = this._w / 2, b = this._h / 2, local = n.rotate(-this._angle);
+        return 2 * Math.sqrt(a * a * local.x * local.x + b * b * local.y * local.y);
       }
-    };
+      case DrawableBodyMode.Rectangle:
+      case DrawableBodyMode.Path: {
+        const vertices = this._mode === DrawableBodyMode.Rectangle ? this._corners() : this._path.map(v => new Vector(...v));
+        const projections = vertices.map(v => v.dot(n));
+        return Math.max(...projections) - Math.min(...projections);
+      }
+      default:
+        throw new Error(`crossSection(): Unknown draw mode ${this._mode}`);
+    }
   }
 
   /** Calculate bounding box */
@@ -271,25 +1054,26 @@ export class DrawableBody extends Body {
         this._bb.w = 1;
         this._bb.h = 1;
         break;
-      case DrawableBodyMode.Ellipse:
-        this._bb.pos = createVector(this.posX() - this._w / 2, this.posY() - this._h / 2);
-        this._bb.w = this._w;
-        this._bb.h = this._h;
+      case DrawableBodyMode.Ellipse: {
+        // Half-extents of rotated ellipse
+        const a = this._w / 2, b = this._h / 2, cos = Math.cos(this._angle), sin = Math.sin(this._angle);
+        const hw = Math.sqrt((a * cos) ** 2 + (b * sin) ** 2), hh = Math.sqrt((a * sin) ** 2 + (b * cos) ** 2);
+        this._bb.pos = new Vector(this.posX() - hw, this.posY() - hh);
+        this._bb.w = hw * 2;
+        this._bb.h = hh * 2;
         break;
+      }
       case DrawableBodyMode.Rectangle:
-        this._bb.pos = this.pos();
-        this._bb.w = this._w;
-        this._bb.h = this._h;
-        break;
       case DrawableBodyMode.Path: {
+        const vertices = this._mode === DrawableBodyMode.Rectangle ? this._corners().map(v => [v.x, v.y]) : this._path;
         let topleft = [Infinity, Infinity], bottomright = [-Infinity, -Infinity];
-        for (let vertex of this._path) {
+        for (let vertex of vertices) {
           if (vertex[0] < topleft[0]) topleft[0] = vertex[0];
           if (vertex[1] < topleft[1]) topleft[1] = vertex[1];
           if (vertex[0] > bottomright[0]) bottomright[0] = vertex[0];
           if (vertex[1] > bottomright[1]) bottomright[1] = vertex[1];
         }
-        this._bb.pos = createVector(...topleft);
+        this._bb.pos = new Vector(...topleft);
         this._bb.w = bottomright[0] - topleft[0];
         this._bb.h = bottomright[1] - topleft[1];
         break;
@@ -299,6 +1083,31 @@ export class DrawableBody extends Body {
     }
   }
 
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      type: 'DrawableBody',
+      mode: this._mode,
+      path: this._oPath.map(v => [v[0], v[1]]),
+      fill: colourToJSON(this._fill),
+      stroke: colourToJSON(this._stroke),
+      pointMotion: this._pointMotion,
+    };
+  }
+
+  _fromJSON(data) {
+    super._fromJSON(data);
+    this._mode = data.mode;
+    this._oPath = data.path.map(v => [v[0], v[1]]);
+    this._oCentroid = polygonCentroid(this._oPath);
+    this._oPieces = this._oPath.length === 0 ? [] : convexPieces(this._oPath) || [];
+    this._fill = data.fill;
+    this._stroke = data.stroke;
+    this._pointMotion = data.pointMotion;
+    this._transform();
+    return this;
+  }
+
   /** Get/Set width */
   width(value = undefined) {
     const v = super.width(value);
@@ -313,38 +1122,88 @@ export class DrawableBody extends Body {
     return v;
   }
 
+  /** Get centre of mass (about which the body rotates) */
+  centre() {
+    switch (this._mode) {
+      case DrawableBodyMode.Rectangle:
+        return new Vector(this._pos.x + this._w / 2, this._pos.y + this._h / 2);
+      case DrawableBodyMode.Path:
+        return new Vector(this._pos.x + this._oCentroid[0], this._pos.y + this._oCentroid[1]);
+      default:
+        return this.pos();
+    }
+  }
+
+  /** Get moment of inertia about centre of mass, depending on shape */
+  inertia() {
+    switch (this._mode) {
+      case DrawableBodyMode.Point:
+        return 0;
+      case DrawableBodyMode.Ellipse:
+        return this._mass * (this._w * this._w + this._h * this._h) / 16;
+      case DrawableBodyMode.Rectangle:
+        return this._mass * (this._w * this._w + this._h * this._h) / 12;
+      case DrawableBodyMode.Path:
+        return this._mass * polygonInertia(this._oPath, this._oCentroid); // Polygon of uniform density, about centroid
+      default:
+        throw new Error(`inertia(): Unknown draw mode ${this._mode}`);
+    }
+  }
+
+  /** Get area of this body's shape (in square pixels) */
+  shapeArea() {
+    switch (this._mode) {
+      case DrawableBodyMode.Point:
+        return 0;
+      case DrawableBodyMode.Ellipse:
+        return Math.PI * this._w * this._h / 4;
+      case DrawableBodyMode.Rectangle:
+        return this._w * this._h;
+      case DrawableBodyMode.Path:
+        return polygonArea(this._oPath);
+      default:
+        throw new Error(`shapeArea(): Unknown draw mode ${this._mode}`);
+    }
+  }
+
   /** Set drawing mode */
   setDrawMode(mode) {
     this._mode = mode;
-    this._calcBoundingBox();
+    this._transform();
     return this;
   }
 
-  /** Set _pointMotion */
+  /** Set _pointMotion - if set, angle will follow the direction of velocity */
   pointInDirectionOfMotion(bool) {
-    this._pointDir = !!bool;
+    this._pointMotion = !!bool;
     return this;
   }
 
-  /** Set this._fill to color([arguments]) or NULL */
+  /** Set this._fill to [arguments] of P5's color(), or NULL */
   fill(...args) {
-    this._fill = args[0] === null ? null : color(...args);
+    this._fill = args[0] === null ? null : args;
     return this;
   }
 
-  /** Set this._stroke to color([arguments]) or NULL */
+  /** Set this._stroke to [arguments] of P5's color(), or NULL */
   stroke(...args) {
-    this._stroke = args[0] === null ? null : color(...args);
+    this._stroke = args[0] === null ? null : args;
     return this;
   }
 
-  /** Set draw mode to Path */
+  /**
+   * Set draw mode to Path. Vertices are in world space, and are rotated by this body's current angle.
+   * Concave paths are split into convex pieces for collisions. Paths which intersect themselves are rejected.
+   */
   setPolygon(...vertices) {
     this._mode = DrawableBodyMode.Path;
     if (vertices[0] !== null) {
-      this._path = vertices;
-      this._oPath = vertices.map(v => ([v[0] - this._pos.x, v[1] - this._pos.y]));
-      this._calcBoundingBox();
+      const path = vertices.map(v => ([v[0] - this._pos.x, v[1] - this._pos.y])), pieces = convexPieces(path);
+      if (pieces === null) throw new Error(`setPolygon(): Path intersects itself`);
+      this._oPath = path;
+      this._oPieces = pieces;
+      this._oCentroid = polygonCentroid(this._oPath);
+      this._transform();
     }
     return this;
   }
@@ -355,87 +1214,43 @@ export class DrawableBody extends Body {
     return this.setPolygon([pos.x - w2, pos.y - h2], [pos.x - w2, pos.y + h2], [pos.x + w2, pos.y]);
   }
 
-  update() {
-    const a = super.update();
-    if (a) this._calcBoundingBox();
+  update(dt = 1) {
+    const a = super.update(dt);
+    if (a) {
+      if (this._pointMotion && (this._vel.x !== 0 || this._vel.y !== 0)) {
+        this._angVel = 0;
+        this.angle(this._vel.heading());
+      }
+      this._calcBoundingBox();
+    }
   }
 
-  show() {
-    if (this._stroke === null) noStroke(); else stroke(this._stroke);
-    if (this._fill === null) noFill(); else fill(this._fill);
-
+  /**
+   * Get collision shapes - circles and convex polygons - in world space.
+   * An ellipse which is not a circle is approximated by a polygon, and a concave path is split into convex pieces.
+   */
+  _shapes() {
     switch (this._mode) {
       case DrawableBodyMode.Point:
-        point(this.posX(), this.posY());
-        break;
+        return [{ type: 'circle', centre: this.pos(), radius: 0 }];
       case DrawableBodyMode.Ellipse:
-        ellipse(this.posX(), this.posY(), this._w, this._h);
-        break;
+        if (this._w === this._h) return [{ type: 'circle', centre: this.pos(), radius: this._w / 2 }];
+        return [{ type: 'poly', vertices: ellipseVertices(this._pos, this._w, this._h, this._angle) }];
       case DrawableBodyMode.Rectangle:
-        rect(this.posX(), this.posY(), this._w, this._h);
-        break;
+        return [{ type: 'poly', vertices: this._corners() }];
       case DrawableBodyMode.Path:
-        beginShape();
-        this._path.forEach(p => vertex(...p));
-        endShape(CLOSE);
-        break;
+        return this._oPieces.map(piece => ({ type: 'poly', vertices: piece.map(i => new Vector(...this._path[i])) }));
       default:
-        throw new Error(`show(): Unknown draw mode ${this._mode}`);
+        throw new Error(`_shapes(): Unknown draw mode ${this._mode}`);
     }
-
-    if (this._world && this._world.debug) {
-      // Bounding Box
-      noFill();
-      stroke(0, 0, 250);
-      rect(this._bb.pos.x, this._bb.pos.y, this._bb.w, this._bb.h);
-    }
-
-    return this;
   }
 
-  /** Test - is there a collision between the two given DrawableBody objects? */
+  /**
+   * Test - is there a collision between the two given DrawableBody objects?
+   * @return {Manifold | null} Contact manifold (normal points from a to b), or NULL if no collision
+   */
   static collision(a, b) {
     let baseCollide = collideRectRect(a._bb.pos.x, a._bb.pos.y, a._bb.w, a._bb.h, b._bb.pos.x, b._bb.pos.y, b._bb.w, b._bb.h);
-    if (baseCollide) {
-      if (a._mode === DrawableBodyMode.Point && b._mode === DrawableBodyMode.Point) { // Point, Point
-        return Math.floor(a._pos.x) === Math.floor(b._pos.x) && Math.floor(a._pos.y) === Math.floor(b._pos.y); // Points must be equal (to nearest pixel)
-      } else if (a._mode === DrawableBodyMode.Ellipse && b._mode === DrawableBodyMode.Ellipse) { // Ellipse, Ellipse
-        return collideCircleCircle(a._pos.x, a._pos.y, a.w, b._pos.x, b._pos.y, b.w);
-      } else if (a._mode === DrawableBodyMode.Rectangle && b._mode === DrawableBodyMode.Rectangle) { // Rectangle, Rectangle
-        return collideRectRect(a._pos.x, a._pos.y, a.w, a.h, b._pos.x, b._pos.y, b.w, b.h);
-      } else if (a._mode === DrawableBodyMode.Rectangle && b._mode === DrawableBodyMode.Ellipse) { // Rectangle, Ellipse
-        return collideRectCircle(a._pos.x, a._pos.y, a.w, a.h, b._pos.x, b._pos.y, b.w);
-      } else if (a._mode === DrawableBodyMode.Ellipse && b._mode === DrawableBodyMode.Rectangle) { // Ellipse, Rectangle
-        return collideRectCircle(b._pos.x, b._pos.y, b.w, b.h, a._pos.x, a._pos.y, a.w);
-      } else if (a._mode === DrawableBodyMode.Point && b._mode === DrawableBodyMode.Ellipse) { // Point, Ellipse
-        return collidePointEllipse(a._pos.x, a._pos.y, b._pos.x, b._pos.y, b.w, b.h);
-      } else if (a._mode === DrawableBodyMode.Ellipse && b._mode === DrawableBodyMode.Point) { // Ellipse, Point
-        return collidePointEllipse(b._pos.x, b._pos.y, a._pos.x, a._pos.y, a.w, a.h);
-      } else if (a._mode === DrawableBodyMode.Point && b._mode === DrawableBodyMode.Rectangle) { // Point, Rectangle
-        return collidePointRect(a._pos.x, a._pos.y, b._pos.x, b._pos.y, b.w, b.h);
-      } else if (a._mode === DrawableBodyMode.Rectangle && b._mode === DrawableBodyMode.Point) { // Rectangle, Point
-        return collidePointRect(b._pos.x, b._pos.y, a._pos.x, a._pos.y, a.w, a.h);
-      } else if (a._mode === DrawableBodyMode.Point && b._mode === DrawableBodyMode.Path) { // Point, Path
-        return collidePointPoly(a._pos.x, a._pos.y, b._path.map(a => createVector(...a)));
-      } else if (a._mode === DrawableBodyMode.Path && b._mode === DrawableBodyMode.Point) { // Path, Point
-        return collidePointPoly(b._pos.x, b._pos.y, a._path.map(a => createVector(...a)));
-      } else if (a._mode === DrawableBodyMode.Ellipse && b._mode === DrawableBodyMode.Path) { // Ellipse, Path
-        return collideCirclePoly(a._pos.x, a._pos.y, a.w, b._path.map(a => createVector(...a)), true);
-      } else if (a._mode === DrawableBodyMode.Path && b._mode === DrawableBodyMode.Ellipse) { // Path, Ellipse
-        return collideCirclePoly(b._pos.x, b._pos.y, b.w, a._path.map(a => createVector(...a)), true);
-      } else if (a._mode === DrawableBodyMode.Rectangle && b._mode === DrawableBodyMode.Path) { // Rectangle, Path
-        return collideRectPoly(a._pos.x, a._pos.y, a.w, a.h, b._path.map(a => createVector(...a)), true);
-      } else if (a._mode === DrawableBodyMode.Path && b._mode === DrawableBodyMode.Rectangle) { // Path, Rectangle
-        return collideRectPoly(b._pos.x, b._pos.y, b.w, b.h, a._path.map(a => createVector(...a)), true);
-      } else if (a._mode === DrawableBodyMode.Path && b._mode === DrawableBodyMode.Path) { // Path, Path
-        return collidePolyPoly(a._path.map(a => createVector(...a)), b._path.map(a => createVector(...a)), true);
-      } else {
-        if (a._world.logWarnings || b._world.logWarnings)
-          console.warn(`collision(): Unable to determine colission between ${a} (${a._mode}) and ${b} (${b._mode})`);
-        return false;
-      }
-    } else {
-      return false;
-    }
+    return baseCollide ? getManifold(a, b) : null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,140 @@
+import { BroadPhaseMode } from "./enums.js";
+
+/** Do the bounding boxes of two DrawableBody objects overlap? */
+export const boundingBoxesOverlap = (a, b) => (
+  a._bb.pos.x <= b._bb.pos.x + b._bb.w && b._bb.pos.x <= a._bb.pos.x + a._bb.w &&
+  a._bb.pos.y <= b._bb.pos.y + b._bb.h && b._bb.pos.y <= a._bb.pos.y + a._bb.h
+);
+
+/**
+ * A broad phase finds candidate pairs of bodies which may be colliding, using their bounding boxes.
+ * Only candidate pairs are passed on to DrawableBody.collision.
+ */
+export class BroadPhase {
+  /**
+   * Find pairs of bodies whose bounding boxes overlap. Each pair appears once.
+   * @param bodies Array of DrawableBody objects
+   * @return {Array} Array of [a, b] pairs
+   */
+  pairs(bodies) {
+    throw new Error(`#<BroadPhase> :: method pairs() requires overload`);
+  }
+
+  /** Serialize to a plain object: { mode, ...arguments to createBroadPhase } */
+  toJSON() {
+    throw new Error(`#<BroadPhase> :: method toJSON() requires overload`);
+  }
+}
+
+/** Test every body against every other body - O(n^2) */
+export class BruteForce extends BroadPhase {
+  pairs(bodies) {
+    const pairs = [];
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        if (boundingBoxesOverlap(bodies[i], bodies[j])) pairs.push([bodies[i], bodies[j]]);
+      }
+    }
+    return pairs;
+  }
+
+  toJSON() {
+    return { mode: BroadPhaseMode.BruteForce };
+  }
+}
+
+/** Bucket bodies into a uniform grid of cells. Only bodies which share a cell are tested. */
+export class SpatialHash extends BroadPhase {
+  constructor(cellSize = 50) {
+    super();
+    this.cellSize = cellSize; // Width/height of each cell in pixels. Should be around the size of a typical body.
+  }
+
+  pairs(bodies) {
+    const cells = new Map(), seen = new Set(), pairs = [];
+    for (let body of bodies) {
+      const bb = body._bb;
+      const x1 = Math.floor(bb.pos.x / this.cellSize), x2 = Math.floor((bb.pos.x + bb.w) / this.cellSize);
+      const y1 = Math.floor(bb.pos.y / this.cellSize), y2 = Math.floor((bb.pos.y + bb.h) / this.cellSize);
+      for (let x = x1; x <= x2; x++) {
+        for (let y = y1; y <= y2; y++) {
+          const key = x + ',' + y;
+          let cell = cells.get(key);
+          if (cell === undefined) cells.set(key, cell = []);
+          for (let other of cell) {
+            const id = other.ID < body.ID ? other.ID + ':' + body.ID : body.ID + ':' + other.ID;
+            if (!seen.has(id)) {
+              seen.add(id);
+              if (boundingBoxesOverlap(body, other)) pairs.push([other, body]);
+            }
+          }
+          cell.push(body);
+        }
+      }
+    }
+    return pairs;
+  }
+
+  toJSON() {
+    return { mode: BroadPhaseMode.SpatialHash, cellSize: this.cellSize };
+  }
+}
+
+/** Sort bodies along the x axis, and only test bodies whose x extents overlap */
+export class SweepAndPrune extends BroadPhase {
+  constructor() {
+    super();
+    this._sorted = []; // Kept between calls - mostly sorted already, as bodies move little between updates
+  }
+
+  pairs(bodies) {
+    // Keep the sorted list in sync with bodies
+    const present = new Set(bodies);
+    if (this._sorted.length !== bodies.length || !this._sorted.every(b => present.has(b))) {
+      this._sorted = bodies.slice();
+    }
+
+    // Insertion sort - near O(n) on a nearly sorted list. Ties are broken by ID, so the order does not depend on history.
+    const list = this._sorted;
+    for (let i = 1; i < list.length; i++) {
+      const body = list[i], x = body._bb.pos.x;
+      let j = i - 1;
+      while (j >= 0 && (list[j]._bb.pos.x > x || (list[j]._bb.pos.x === x && list[j].ID > body.ID))) {
+        list[j + 1] = list[j];
+        j--;
+      }
+      list[j + 1] = body;
+    }
+
+    const pairs = [];
+    for (let i = 0; i < list.length; i++) {
+      const a = list[i], maxX = a._bb.pos.x + a._bb.w;
+      for (let j = i + 1; j < list.length && list[j]._bb.pos.x <= maxX; j++) {
+        if (boundingBoxesOverlap(a, list[j])) pairs.push([a, list[j]]);
+      }
+    }
+    return pairs;
+  }
+
+  toJSON() {
+    return { mode: BroadPhaseMode.SweepAndPrune };
+  }
+}
+
+/**
+ * Create a broad phase from a BroadPhaseMode
+ * @param mode BroadPhaseMode
+ * @param args Passed to constructor of broad phase
+ */
+export function createBroadPhase(mode, ...args) {
+  switch (mode) {
+    case BroadPhaseMode.BruteForce:
+      return new BruteForce(...args);
+    case BroadPhaseMode.SpatialHash:
+      return new SpatialHash(...args);
+    case BroadPhaseMode.SweepAndPrune:
+      return new SweepAndPrune(...args);
+    default:
+      throw new Error(`createBroadPhase(): Unknown broad phase mode ${mode}`);
+  }
+}
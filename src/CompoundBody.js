@@ -0,0 +1,272 @@
+import { DrawableBodyMode } from "./enums.js";
+import { DrawableBody, convexPieces, ellipseVertices, polygonArea, polygonCentroid, polygonInertia, rotate } from "./Body.js";
+import { Vector } from "./Vector.js";
+
+/**
+ * A rigid body made of several child shapes (rectangles, ellipses and polygons) at offsets relative to its position.
+ * Mass is shared between children by area. The body rotates about the combined centre of mass.
+ * Each child collides as its own shape(s) - see DrawableBody._shapes.
+ */
+export class CompoundBody extends DrawableBody {
+  constructor(x, y) {
+    super(x, y, 0, 0);
+    this._mode = DrawableBodyMode.Compound;
+    this._children = []; // { mode, x, y, w, h, angle, path, pieces } - see addRectangle, addEllipse, addPolygon
+    this._inertiaPerMass = 0; // Moment of inertia per unit mass, about centre of mass
+    this._transform();
+  }
+
+  /** Get array of children. Each child's "vertices" (rectangles and polygons) or "centre" is in world space. */
+  children() {
+    return this._children;
+  }
+
+  /**
+   * Add a rectangle
+   * @param x Offset of centre from this body's position
+   * @param y Offset of centre from this body's position
+   * @param angle Rotation relative to this body
+   */
+  addRectangle(x, y, w, h, angle = 0) {
+    return this._addChild({ mode: DrawableBodyMode.Rectangle, x, y, w, h, angle, path: [], pieces: [] });
+  }
+
+  /**
+   * Add an ellipse
+   * @param x Offset of centre from this body's position
+   * @param y Offset of centre from this body's position
+   * @param angle Rotation relative to this body
+   */
+  addEllipse(x, y, w, h = w, angle = 0) {
+    return this._addChild({ mode: DrawableBodyMode.Ellipse, x, y, w, h, angle, path: [], pieces: [] });
+  }
+
+  /** Add a polygon, which may be concave but not intersect itself. Vertices are [x, y] offsets from this body's position. */
+  addPolygon(...vertices) {
+    if (vertices.length < 3) throw new Error(`addPolygon(): A polygon needs at least 3 vertices`);
+    const path = vertices.map(v => [v[0], v[1]]), pieces = convexPieces(path), [x, y] = polygonCentroid(path);
+    if (pieces === null) throw new Error(`addPolygon(): Polygon intersects itself`);
+    return this._addChild({ mode: DrawableBodyMode.Path, x, y, w: 0, h: 0, angle: 0, path, pieces });
+  }
+
+  _addChild(child) {
+    this._children.push(child);
+    this._updateMassProperties();
+    this._transform();
+    return this;
+  }
+
+  /** Remove all children */
+  clear() {
+    this._children = [];
+    this._updateMassProperties();
+    this._transform();
+    return this;
+  }
+
+  /** Get area of a child */
+  static _childArea(child) {
+    switch (child.mode) {
+      case DrawableBodyMode.Ellipse:
+        return Math.PI * child.w * child.h / 4;
+      case DrawableBodyMode.Rectangle:
+        return child.w * child.h;
+      case DrawableBodyMode.Path:
+        return polygonArea(child.path);
+      default:
+        throw new Error(`_childArea(): Unknown child mode ${child.mode}`);
+    }
+  }
+
+  /** Get moment of inertia per unit mass of a child, about its own centroid */
+  static _childInertia(child) {
+    switch (child.mode) {
+      case DrawableBodyMode.Ellipse:
+        return (child.w * child.w + child.h * child.h) / 16;
+      case DrawableBodyMode.Rectangle:
+        return (child.w * child.w + child.h * child.h) / 12;
+      case DrawableBodyMode.Path:
+        return polygonInertia(child.path, [child.x, child.y]);
+      default:
+        throw new Error(`_childInertia(): Unknown child mode ${child.mode}`);
+    }
+  }
+
+  /** Recalculate centre of mass, moment of inertia and size (at angle 0) from children */
+  _updateMassProperties() {
+    const areas = this._children.map(child => CompoundBody._childArea(child));
+    const total = areas.reduce((sum, a) => sum + a, 0);
+    const weights = areas.map(a => total === 0 ? 1 / areas.length : a / total);
+
+    let cx = 0, cy = 0;
+    this._children.forEach((child, i) => {
+      cx += child.x * weights[i];
+      cy += child.y * weights[i];
+    });
+    this._oCentroid = [cx, cy];
+
+    // Parallel axis theorem: I = sum of m_i * (I_i + d_i^2)
+    this._inertiaPerMass = this._children.reduce((sum, child, i) => {
+      const dx = child.x - cx, dy = child.y - cy;
+      return sum + weights[i] * (CompoundBody._childInertia(child) + dx * dx + dy * dy);
+    }, 0);
+
+    // Size of bounding box at angle 0
+    const angle = this._angle;
+    this._angle = 0;
+    this._transform();
+    this._w = this._bb.w;
+    this._h = this._bb.h;
+    this._angle = angle;
+  }
+
+  /** Recalculate children and bounding box after a change of position or angle */
+  _transform() {
+    if (this._children === undefined) return super._transform(); // Called by DrawableBody constructor
+    const [cx, cy] = this._oCentroid, cos = Math.cos(this._angle), sin = Math.sin(this._angle);
+    const toWorld = (x, y) => {
+      const [rx, ry] = rotate(x - cx, y - cy, cos, sin);
+      return new Vector(this._pos.x + cx + rx, this._pos.y + cy + ry);
+    };
+    this._children.forEach(child => {
+      child.centre = toWorld(child.x, child.y);
+      switch (child.mode) {
+        case DrawableBodyMode.Rectangle: {
+          const w2 = child.w / 2, h2 = child.h / 2, ccos = Math.cos(child.angle), csin = Math.sin(child.angle);
+          child.vertices = [[-w2, -h2], [w2, -h2], [w2, h2], [-w2, h2]].map(([x, y]) => {
+            const [rx, ry] = rotate(x, y, ccos, csin);
+            return toWorld(child.x + rx, child.y + ry);
+          });
+          break;
+        }
+        case DrawableBodyMode.Path:
+          child.vertices = child.path.map(v => toWorld(v[0], v[1]));
+          break;
+      }
+    });
+    this._calcBoundingBox();
+  }
+
+  /** Calculate bounding box, enclosing every child */
+  _calcBoundingBox() {
+    if (this._children === undefined) return super._calcBoundingBox(); // Called by DrawableBody constructor
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    this._children.forEach(child => {
+      if (child.mode === DrawableBodyMode.Ellipse) {
+        // Half-extents of rotated ellipse
+        const a = child.w / 2, b = child.h / 2, angle = this._angle + child.angle, cos = Math.cos(angle), sin = Math.sin(angle);
+        const hw = Math.sqrt((a * cos) ** 2 + (b * sin) ** 2), hh = Math.sqrt((a * sin) ** 2 + (b * cos) ** 2);
+        left = Math.min(left, child.centre.x - hw);
+        right = Math.max(right, child.centre.x + hw);
+        top = Math.min(top, child.centre.y - hh);
+        bottom = Math.max(bottom, child.centre.y + hh);
+      } else {
+        child.vertices.forEach(v => {
+          left = Math.min(left, v.x);
+          right = Math.max(right, v.x);
+          top = Math.min(top, v.y);
+          bottom = Math.max(bottom, v.y);
+        });
+      }
+    });
+    if (this._children.length === 0) {
+      this._bb.pos = this.pos();
+      this._bb.w = 0;
+      this._bb.h = 0;
+    } else {
+      this._bb.pos = new Vector(left, top);
+      this._bb.w = right - left;
+      this._bb.h = bottom - top;
+    }
+  }
+
+  /** Width is that of the children at angle 0, so cannot be set */
+  width(value = undefined) {
+    if (value !== undefined) throw new Error(`width(): Cannot set width of a CompoundBody - add children instead`);
+    return this._w;
+  }
+
+  /** Height is that of the children at angle 0, so cannot be set */
+  height(value = undefined) {
+    if (value !== undefined) throw new Error(`height(): Cannot set height of a CompoundBody - add children instead`);
+    return this._h;
+  }
+
+  /** Get combined centre of mass (about which the body rotates) */
+  centre() {
+    return new Vector(this._pos.x + this._oCentroid[0], this._pos.y + this._oCentroid[1]);
+  }
+
+  /** Get moment of inertia about combined centre of mass */
+  inertia() {
+    return this._mass * this._inertiaPerMass;
+  }
+
+  /** Get total area of children. Overlapping children are counted more than once. */
+  shapeArea() {
+    return this._children.reduce((sum, child) => sum + CompoundBody._childArea(child), 0);
+  }
+
+  crossSection(direction) {
+    if (this._children.length === 0) return 0;
+    const d = Vector.from(direction).normalize(), n = new Vector(-d.y, d.x); // Measure across the direction
+    let min = Infinity, max = -Infinity;
+    this._children.forEach(child => {
+      if (child.mode === DrawableBodyMode.Ellipse) {
+        const a = child.w / 2, b = child.h / 2, local = n.copy().rotate(-this._angle - child.angle);
+        const half = Math.sqrt(a * a * local.x * local.x + b * b * local.y * local.y), c = child.centre.dot(n);
+        min = Math.min(min, c - half);
+        max = Math.max(max, c + half);
+      } else {
+        child.vertices.forEach(v => {
+          min = Math.min(min, v.dot(n));
+          max = Math.max(max, v.dot(n));
+        });
+      }
+    });
+    return max - min;
+  }
+
+  setDrawMode(mode) {
+    throw new Error(`setDrawMode(): Cannot change draw mode of a CompoundBody`);
+  }
+
+  setPolygon(...vertices) {
+    throw new Error(`setPolygon(): Cannot set polygon of a CompoundBody - use addPolygon()`);
+  }
+
+  /** Get collision shapes of every child in world space (see DrawableBody._shapes) */
+  _shapes() {
+    return this._children.flatMap(child => {
+      switch (child.mode) {
+        case DrawableBodyMode.Ellipse:
+          if (child.w === child.h) return [{ type: 'circle', centre: child.centre.copy(), radius: child.w / 2 }];
+          return [{ type: 'poly', vertices: ellipseVertices(child.centre, child.w, child.h, this._angle + child.angle) }];
+        case DrawableBodyMode.Path:
+          return child.pieces.map(piece => ({ type: 'poly', vertices: piece.map(i => child.vertices[i].copy()) }));
+        default:
+          return [{ type: 'poly', vertices: child.vertices.map(v => v.copy()) }];
+      }
+    });
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      type: 'CompoundBody',
+      children: this._children.map(({ mode, x, y, w, h, angle, path }) => ({ mode, x, y, w, h, angle, path: path.map(v => [v[0], v[1]]) })),
+    };
+  }
+
+  _fromJSON(data) {
+    super._fromJSON(data);
+    this._children = data.children.map(({ mode, x, y, w, h, angle, path }) => ({
+      mode, x, y, w, h, angle, path: path.map(v => [v[0], v[1]]), pieces: path.length === 0 ? [] : convexPieces(path) || [],
+    }));
+    this._updateMassProperties();
+    this._transform();
+    return this;
+  }
+}
+
+export default CompoundBody;
@@ -0,0 +1,235 @@
+import { Body } from "./Body.js";
+import { Vector } from "./Vector.js";
+import { colourToJSON } from "./serialize.js";
+
+/**
+ * Base class for a constraint between two ends.
+ * Each end is either a Body (attached at its centre) or a Vector (a fixed point in the world).
+ */
+export class Constraint {
+  constructor(a, b) {
+    this.a = a;
+    this.b = b;
+    this._stroke = [200]; // Colour (array of arguments to P5's color()) OR null
+    this._world = null;
+  }
+
+  /** Get position of an end */
+  static _point(end) {
+    return end instanceof Body ? end.centre() : Vector.from(end);
+  }
+
+  /** Get velocity of an end */
+  static _vel(end) {
+    return end instanceof Body ? end.vel() : new Vector(0, 0);
+  }
+
+  /** Get inverse mass of an end. Fixed points have infinite mass. */
+  static _invMass(end) {
+    return end instanceof Body ? end.invMass() : 0;
+  }
+
+  /** Get position of end a */
+  pointA() {
+    return Constraint._point(this.a);
+  }
+
+  /** Get position of end b */
+  pointB() {
+    return Constraint._point(this.b);
+  }
+
+  /** Get current distance between ends */
+  distance() {
+    return Vector.dist(this.pointA(), this.pointB());
+  }
+
+  /** Does this constraint involve the given body? */
+  involves(body) {
+    return this.a === body || this.b === body;
+  }
+
+  /** Set this._stroke to [arguments] of P5's color(), or NULL */
+  stroke(...args) {
+    this._stroke = args[0] === null ? null : args;
+    return this;
+  }
+
+  /** Serialize an end: a body is referenced by its ID */
+  static _endToJSON(end) {
+    return end instanceof Body ? { body: end.ID } : Vector.from(end).toJSON();
+  }
+
+  /** Restore an end from the output of _endToJSON(). bodies maps ID -> Body. */
+  static _endFromJSON(data, bodies) {
+    if (data.body === undefined) return Vector.from(data);
+    const body = bodies.get(data.body);
+    if (!body) throw new Error(`fromJSON(): Constraint refers to unknown body ${data.body}`);
+    return body;
+  }
+
+  /** Serialize to a plain object (see World.toJSON) */
+  toJSON() {
+    return {
+      type: 'Constraint',
+      a: Constraint._endToJSON(this.a),
+      b: Constraint._endToJSON(this.b),
+      stroke: colourToJSON(this._stroke),
+    };
+  }
+
+  /**
+   * Create a constraint from the output of toJSON()
+   * @param data Serialized constraint
+   * @param bodies Map of body ID -> Body
+   */
+  static fromJSON(data, bodies) {
+    const a = Constraint._endFromJSON(data.a, bodies), b = Constraint._endFromJSON(data.b, bodies);
+    let constraint;
+    switch (data.type) {
+      case 'Constraint':
+        constraint = new Constraint(a, b);
+        break;
+      case 'Spring':
+        constraint = new Spring(a, b, data.restLength, data.stiffness, data.damping);
+        break;
+      case 'DistanceJoint':
+        constraint = new DistanceJoint(a, b, data.length);
+        break;
+      case 'Rope':
+        constraint = new Rope(a, b, data.length);
+        break;
+      case 'Pin':
+        constraint = new Pin(b, a);
+        break;
+      default:
+        throw new Error(`fromJSON(): Unknown constraint type ${data.type}`);
+    }
+    constraint._stroke = data.stroke;
+    return constraint;
+  }
+
+  /** Apply forces to ends - called before bodies are updated */
+  applyForces() { }
+
+  /** Correct velocities and positions of ends - called (several times) after bodies are updated */
+  solve() { }
+}
+
+/** Damped spring obeying Hooke's law: F = -k * extension - c * (relative velocity) */
+export class Spring extends Constraint {
+  /**
+   * @param a Body or Vector
+   * @param b Body or Vector
+   * @param restLength Natural length. Defaults to current distance between ends.
+   * @param stiffness Spring constant k
+   * @param damping Damping coefficient c
+   */
+  constructor(a, b, restLength = undefined, stiffness = 0.05, damping = 0.01) {
+    super(a, b);
+    this.restLength = restLength === undefined ? this.distance() : restLength;
+    this.stiffness = stiffness;
+    this.damping = damping;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'Spring', restLength: this.restLength, stiffness: this.stiffness, damping: this.damping };
+  }
+
+  applyForces() {
+    const d = Vector.sub(this.pointB(), this.pointA()), dist = d.mag();
+    if (dist === 0) return;
+    const n = d.div(dist);
+    const vrel = Constraint._vel(this.b).sub(Constraint._vel(this.a)).dot(n);
+    const F = n.mult(this.stiffness * (dist - this.restLength) + this.damping * vrel); // Force on a, towards b
+    if (this.a instanceof Body) this.a.applyForce(F);
+    if (this.b instanceof Body) this.b.applyForce(F.mult(-1));
+  }
+}
+
+/** Rigid rod - keeps ends at a fixed distance */
+export class DistanceJoint extends Constraint {
+  /**
+   * @param a Body or Vector
+   * @param b Body or Vector
+   * @param length Distance to keep. Defaults to current distance between ends.
+   */
+  constructor(a, b, length = undefined) {
+    super(a, b);
+    this.length = length === undefined ? this.distance() : length;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'DistanceJoint', length: this.length };
+  }
+
+  /** Is the constraint active given the current distance between ends? */
+  _active(dist) {
+    return true;
+  }
+
+  /** Given relative speed of ends along the joint, return the relative speed to remove */
+  _relativeSpeed(vn) {
+    return vn;
+  }
+
+  solve() {
+    const invA = Constraint._invMass(this.a), invB = Constraint._invMass(this.b), invSum = invA + invB;
+    if (invSum === 0) return;
+    const d = Vector.sub(this.pointB(), this.pointA()), dist = d.mag();
+    if (!this._active(dist)) return;
+    const vrel = Constraint._vel(this.b).sub(Constraint._vel(this.a));
+
+    let error, impulse;
+    if (this.length === 0 || dist === 0) {
+      // Ends should coincide - remove all relative velocity
+      error = d;
+      impulse = vrel.div(invSum);
+    } else {
+      // Remove relative velocity along the line joining the ends
+      const n = d.div(dist);
+      error = Vector.mult(n, dist - this.length);
+      impulse = n.mult(this._relativeSpeed(vrel.dot(n)) / invSum);
+    }
+
+    // Correct velocities, then positions
+    if (invA !== 0) {
+      this.a.vel(this.a.vel().add(Vector.mult(impulse, invA)));
+      this.a.pos(this.a.pos().add(Vector.mult(error, invA / invSum)));
+    }
+    if (invB !== 0) {
+      this.b.vel(this.b.vel().sub(Vector.mult(impulse, invB)));
+      this.b.pos(this.b.pos().sub(Vector.mult(error, invB / invSum)));
+    }
+  }
+}
+
+/** Rope - ends may be no further apart than its length, but may move closer together */
+export class Rope extends DistanceJoint {
+  _active(dist) {
+    return dist > this.length;
+  }
+
+  _relativeSpeed(vn) {
+    return Math.max(vn, 0); // Only stop ends moving apart
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'Rope' };
+  }
+}
+
+/** Pin a body to a fixed point in the world */
+export class Pin extends DistanceJoint {
+  /**
+   * @param body Body to pin
+   * @param anchor Vector - point in world to pin to. Defaults to body's current centre.
+   */
+  constructor(body, anchor = undefined) {
+    super(anchor === undefined ? body.centre() : Vector.from(anchor), body, 0);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'Pin' };
+  }
+}
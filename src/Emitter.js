@@ -0,0 +1,62 @@
+/**
+ * Event emitter. Any number of listeners may be attached to each event.
+ * Listeners are called with this set to the emitter.
+ */
+export class Emitter {
+  constructor() {
+    this._events = {}; // Event name -> array of listeners
+  }
+
+  /** Call listener whenever event is emitted */
+  on(event, listener) {
+    if (typeof listener !== 'function') throw new TypeError(`on(): Expected listener to be a function, got ${listener}`);
+    if (this._events[event] === undefined) this._events[event] = [];
+    this._events[event].push(listener);
+    return this;
+  }
+
+  /** Call listener the next time event is emitted only */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      return listener.apply(this, args);
+    };
+    wrapper.listener = listener; // So that off(event, listener) finds it
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener. If listener is omitted, remove every listener of event.
+   * If event is omitted, remove every listener.
+   */
+  off(event = undefined, listener = undefined) {
+    if (event === undefined) {
+      this._events = {};
+    } else if (listener === undefined) {
+      delete this._events[event];
+    } else if (this._events[event] !== undefined) {
+      const listeners = this._events[event].filter(l => l !== listener && l.listener !== listener);
+      if (listeners.length === 0) delete this._events[event];
+      else this._events[event] = listeners;
+    }
+    return this;
+  }
+
+  /**
+   * Call every listener of event with the given arguments
+   * @return {boolean} Were there any listeners?
+   */
+  emit(event, ...args) {
+    const listeners = this._events[event];
+    if (listeners === undefined) return false;
+    listeners.slice().forEach(listener => listener.apply(this, args)); // Copy, as listeners may remove themselves
+    return true;
+  }
+
+  /** Number of listeners of event */
+  listenerCount(event) {
+    return this._events[event] === undefined ? 0 : this._events[event].length;
+  }
+}
+
+export default Emitter;
@@ -0,0 +1,397 @@
+import { FalloffMode } from "./enums.js";
+import { Area } from "./Area.js";
+import { Body } from "./Body.js";
+import { Vector } from "./Vector.js";
+
+/**
+ * Base class for a force field, which applies forces to the bodies of a World each update (through Body.applyForce).
+ * A field may be limited to a region (an Area) - only bodies overlapping the region are affected.
+ */
+export class ForceField {
+  constructor() {
+    this.region = null; // Area which limits this field, or null (whole world)
+    this._world = null;
+  }
+
+  /** Set region which limits this field (an Area, or null for the whole world) */
+  setRegion(area) {
+    if (area !== null && !(area instanceof Area)) throw new TypeError(`setRegion(): Expected an Area or null, got ${area}`);
+    this.region = area;
+    return this;
+  }
+
+  /** Is body affected by this field? Sleeping bodies are, and wake if the force moves them (see World._wakeIfPushed). */
+  _affects(body) {
+    return !body.static && (this.region === null || this.region.overlaps(body));
+  }
+
+  /** Does this field depend on the given body? */
+  involves(body) {
+    return false;
+  }
+
+  /**
+   * Get force exerted on body, or null
+   * @param dt Time step in ticks
+   */
+  force(body, dt) {
+    return null;
+  }
+
+  /**
+   * Apply forces to bodies - called before bodies are updated
+   * @param dt Time step in ticks
+   */
+  apply(bodies, dt) {
+    bodies.forEach(body => {
+      if (!this._affects(body)) return;
+      const F = this.force(body, dt);
+      if (F) body.applyForce(F);
+    });
+  }
+
+  /** Serialize to a plain object (see World.toJSON) */
+  toJSON() {
+    return { type: 'ForceField', region: this.region ? this.region.toJSON() : null };
+  }
+
+  /**
+   * Create a force field from the output of toJSON()
+   * @param data Serialized field
+   * @param bodies Map of body ID -> Body
+   */
+  static fromJSON(data, bodies) {
+    const centre = () => {
+      if (data.centre.body === undefined) return Vector.from(data.centre);
+      const body = bodies.get(data.centre.body);
+      if (!body) throw new Error(`fromJSON(): Force field refers to unknown body ${data.centre.body}`);
+      return body;
+    };
+    const radius = data.radius === null ? Infinity : data.radius;
+    let field;
+    switch (data.type) {
+      case 'Gravitation':
+        field = new Gravitation(data.G, data.softening);
+        field.barnesHut = data.barnesHut;
+        field.theta = data.theta;
+        break;
+      case 'Wind':
+        field = new Wind(data.force);
+        break;
+      case 'RadialField':
+        field = new RadialField(centre(), data.strength, radius, data.falloff);
+        break;
+      case 'Attractor':
+        field = new Attractor(centre(), data.strength, radius, data.falloff);
+        break;
+      case 'Repulsor':
+        field = new Repulsor(centre(), data.strength, radius, data.falloff);
+        break;
+      case 'Vortex':
+        field = new Vortex(centre(), data.strength, radius, data.falloff);
+        break;
+      case 'MagneticField':
+        field = new MagneticField(data.B);
+        break;
+      default:
+        throw new Error(`fromJSON(): Unknown force field type ${data.type}`);
+    }
+    if (data.softening !== undefined) field.softening = data.softening;
+    if (data.region) field.setRegion(Area.fromJSON(data.region));
+    return field;
+  }
+}
+
+/** Constant force (e.g. wind) - the same for every body, regardless of mass */
+export class Wind extends ForceField {
+  /**
+   * @param force Vector
+   */
+  constructor(force) {
+    super();
+    this.vector = Vector.from(force);
+  }
+
+  force(body) {
+    return this.vector.copy();
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'Wind', force: this.vector.toJSON() };
+  }
+}
+
+/**
+ * Field pointing away from a centre. The centre is a Vector, or a Body (its centre - the body itself is not affected).
+ * Strength is an acceleration (like World.G), so the force is proportional to mass. Negative strength points towards the centre.
+ */
+export class RadialField extends ForceField {
+  /**
+   * @param centre Vector or Body
+   * @param strength Acceleration at the centre, in pixels per tick per tick
+   * @param radius Distance beyond which there is no force
+   * @param falloff FalloffMode
+   */
+  constructor(centre, strength = 0.1, radius = Infinity, falloff = FalloffMode.None) {
+    super();
+    this.centre = centre instanceof Body ? centre : Vector.from(centre);
+    this.strength = strength;
+    this.radius = radius;
+    this.falloff = falloff;
+    this.softening = 10; // Used by FalloffMode.InverseSquare, so that the force stays finite near the centre
+  }
+
+  /** Get position of centre */
+  centrePoint() {
+    return this.centre instanceof Body ? this.centre.centre() : this.centre.copy();
+  }
+
+  /** Scale strength by distance from the centre, according to this.falloff */
+  _falloff(dist) {
+    if (dist > this.radius) return 0;
+    switch (this.falloff) {
+      case FalloffMode.None:
+        return 1;
+      case FalloffMode.Linear:
+        return this.radius === Infinity ? 1 : 1 - dist / this.radius;
+      case FalloffMode.InverseSquare:
+        return 1 / (dist * dist + this.softening * this.softening);
+      default:
+        throw new Error(`_falloff(): Unknown falloff mode ${this.falloff}`);
+    }
+  }
+
+  involves(body) {
+    return this.centre === body;
+  }
+
+  _affects(body) {
+    return body !== this.centre && super._affects(body);
+  }
+
+  /** Direction of force on a body at offset d from the centre (d is not normalized) */
+  _direction(d) {
+    return d;
+  }
+
+  force(body) {
+    const d = Vector.sub(body.centre(), this.centrePoint()), dist = d.mag();
+    if (dist === 0) return null;
+    const scale = this._falloff(dist);
+    if (scale === 0) return null;
+    return this._direction(d).setMag(this.strength * scale * body.mass());
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      type: 'RadialField',
+      centre: this.centre instanceof Body ? { body: this.centre.ID } : this.centre.toJSON(),
+      strength: this.strength,
+      radius: this.radius === Infinity ? null : this.radius,
+      falloff: this.falloff,
+      softening: this.softening,
+    };
+  }
+}
+
+/** Pulls bodies towards a centre (positive strength) */
+export class Attractor extends RadialField {
+  _direction(d) {
+    return d.mult(-1);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'Attractor' };
+  }
+}
+
+/** Pushes bodies away from a centre (positive strength) */
+export class Repulsor extends RadialField {
+  toJSON() {
+    return { ...super.toJSON(), type: 'Repulsor' };
+  }
+}
+
+/** Swirls bodies around a centre - clockwise on screen for positive strength */
+export class Vortex extends RadialField {
+  _direction(d) {
+    return new Vector(-d.y, d.x);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'Vortex' };
+  }
+}
+
+/**
+ * Uniform magnetic field B, perpendicular to the screen (positive = into the screen).
+ * Exerts the Lorentz force F = q v x B on charged bodies (see Body.charge), which makes them move in circles.
+ */
+export class MagneticField extends ForceField {
+  /**
+   * @param B Field strength
+   */
+  constructor(B = 0.1) {
+    super();
+    this.B = B;
+  }
+
+  /** Get field strength at point (0 outside of region) */
+  at(point) {
+    return this.region === null || this.region.contains(point) ? this.B : 0;
+  }
+
+  _affects(body) {
+    return body._charge !== 0 && super._affects(body);
+  }
+
+  force(body, dt = 1) {
+    // The Lorentz force only turns the velocity. Find the force which turns it by exactly the angle it would in time dt,
+    // so that integrating it does not add energy.
+    const m = body.mass();
+    if (m === 0) return null;
+    const v = body.vel(), turned = v.copy().rotate(-body._charge * this.B * dt / m);
+    return turned.sub(v).mult(m / dt);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'MagneticField', B: this.B };
+  }
+}
+
+/** Maximum depth of the Barnes-Hut quadtree - bodies at (almost) the same point share a leaf */
+const MAX_DEPTH = 24;
+
+/** Quadtree node for the Barnes-Hut approximation. Holds total mass and centre of mass of the bodies inside it. */
+class QuadNode {
+  constructor(x, y, size, depth = 0) {
+    this.x = x;
+    this.y = y;
+    this.size = size;
+    this.depth = depth;
+    this.mass = 0;
+    this.mx = 0; // Sum of mass * x
+    this.my = 0; // Sum of mass * y
+    this.items = []; // If leaf :: items { body, x, y, m }
+    this.children = null;
+  }
+
+  insert(item) {
+    this.mass += item.m;
+    this.mx += item.m * item.x;
+    this.my += item.m * item.y;
+    if (this.children === null) {
+      if (this.items.length === 0 || this.depth >= MAX_DEPTH) {
+        this.items.push(item);
+        return;
+      }
+      // Split into quadrants
+      const half = this.size / 2;
+      this.children = [
+        new QuadNode(this.x, this.y, half, this.depth + 1), new QuadNode(this.x + half, this.y, half, this.depth + 1),
+        new QuadNode(this.x, this.y + half, half, this.depth + 1), new QuadNode(this.x + half, this.y + half, half, this.depth + 1),
+      ];
+      this.items.forEach(old => this._child(old).insert(old));
+      this.items = [];
+    }
+    this._child(item).insert(item);
+  }
+
+  _child(item) {
+    const half = this.size / 2;
+    return this.children[(item.x >= this.x + half ? 1 : 0) + (item.y >= this.y + half ? 2 : 0)];
+  }
+}
+
+/**
+ * Mutual Newtonian gravitation between all bodies (in the region): a = G * M * r / (r^2 + softening^2)^(3/2).
+ * Static bodies attract others but do not move. For large numbers of bodies, set barnesHut to approximate distant groups of bodies.
+ */
+export class Gravitation extends ForceField {
+  /**
+   * @param G Gravitational constant
+   * @param softening Softening length - stops forces becoming huge when bodies are close together
+   */
+  constructor(G = 1, softening = 5) {
+    super();
+    this.G = G;
+    this.softening = softening;
+    this.barnesHut = false; // Use the Barnes-Hut approximation? O(n log n) rather than O(n^2)
+    this.theta = 0.5; // Barnes-Hut opening angle. Smaller = more accurate.
+  }
+
+  /** Acceleration of a body at (x, y) due to mass M at (x2, y2) */
+  _accel(x, y, x2, y2, M, out) {
+    const dx = x2 - x, dy = y2 - y;
+    const r2 = dx * dx + dy * dy + this.softening * this.softening;
+    const s = this.G * M / (r2 * Math.sqrt(r2));
+    out.x += dx * s;
+    out.y += dy * s;
+  }
+
+  apply(bodies, dt) {
+    const items = [];
+    bodies.forEach(body => {
+      if (body.mass() === 0 || (this.region && !this.region.overlaps(body))) return;
+      const c = body.centre();
+      items.push({ body, x: c.x, y: c.y, m: body.mass(), a: new Vector(0, 0) });
+    });
+
+    if (this.barnesHut) this._barnesHut(items);
+    else this._direct(items);
+
+    items.forEach(item => {
+      if (this._affects(item.body)) item.body.applyForce(item.a.mult(item.m));
+    });
+  }
+
+  /** Exact - every pair */
+  _direct(items) {
+    for (let i = 0; i < items.length; i++) {
+      const p = items[i];
+      for (let j = i + 1; j < items.length; j++) {
+        const q = items[j];
+        this._accel(p.x, p.y, q.x, q.y, q.m, p.a);
+        this._accel(q.x, q.y, p.x, p.y, p.m, q.a);
+      }
+    }
+  }
+
+  /** Approximate - treat distant groups of bodies as a single mass at their centre of mass */
+  _barnesHut(items) {
+    if (items.length === 0) return;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    items.forEach(item => {
+      minX = Math.min(minX, item.x);
+      minY = Math.min(minY, item.y);
+      maxX = Math.max(maxX, item.x);
+      maxY = Math.max(maxY, item.y);
+    });
+    const root = new QuadNode(minX, minY, Math.max(maxX - minX, maxY - minY, 1) * 1.0001); // Pad so that items at max are inside
+    items.forEach(item => root.insert(item));
+
+    items.forEach(item => {
+      const stack = [root];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.mass === 0) continue;
+        if (node.children === null) {
+          for (const other of node.items) {
+            if (other !== item) this._accel(item.x, item.y, other.x, other.y, other.m, item.a);
+          }
+          continue;
+        }
+        const cx = node.mx / node.mass, cy = node.my / node.mass, dist = Math.hypot(cx - item.x, cy - item.y);
+        if (dist > 0 && node.size / dist < this.theta) this._accel(item.x, item.y, cx, cy, node.mass, item.a);
+        else stack.push(...node.children);
+      }
+    });
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), type: 'Gravitation', G: this.G, softening: this.softening, barnesHut: this.barnesHut, theta: this.theta };
+  }
+}
+
+export default ForceField;
@@ -0,0 +1,258 @@
+import { World } from "./World.js";
+import { SCHEMA_VERSION } from "./serialize.js";
+
+/**
+ * Hash of the state of every body in a world - position, velocity, acceleration and rotation.
+ * Two worlds with the same hash are (almost certainly) identical, bit for bit.
+ * @return {string} 32-bit FNV-1a hash, in hex
+ */
+export function stateHash(world) {
+  const values = new Float64Array(1), words = new Uint32Array(values.buffer);
+  let hash = 0x811c9dc5;
+  const add = value => {
+    values[0] = value + 0; // -0 -> 0, as JSON cannot store -0
+    for (let word of words) {
+      hash ^= word;
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+  };
+  world.bodies.forEach(body => {
+    add(body._id);
+    add(body._pos.x); add(body._pos.y);
+    add(body._vel.x); add(body._vel.y);
+    add(body._acc.x); add(body._acc.y);
+    add(body._angle); add(body._angVel); add(body._angAcc);
+  });
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Records a world frame by frame: its initial state, then for each call to World.update() -
+ * bodies added or removed, forces applied through applyForce() / applyForceAtPoint() / applyTorque(), and dt.
+ * Forces applied during an update (e.g. by a beforeStep or collisionStart listener) are recorded with the substep they come before.
+ * Forces the world applies itself (gravity, areas, fields, constraints...) are not recorded, as replay applies them again.
+ * Other changes (e.g. setting a body's velocity, adding areas, constraints or soft bodies) are not recorded.
+ * Use World.random() rather than P5's random() so that a recording can be replayed exactly.
+ */
+export class Recorder {
+  constructor(world) {
+    this.world = world;
+    this.snapshot = null; // World.toJSON() when recording started
+    this.frames = []; // Recorded frames { dt, added, removed, forces, hash }
+    this._frame = null; // Events since the last update
+    this._updating = false; // Inside World.update()? Forces are then added to the current frame.
+  }
+
+  /** Is this recorder recording? */
+  recording() {
+    return this.world._recorder === this;
+  }
+
+  /** Start recording - discards any previous recording */
+  start() {
+    if (this.world._recorder && this.world._recorder !== this) throw new Error(`start(): World is already being recorded`);
+    this.snapshot = this.world.toJSON();
+    this.frames = [];
+    this._frame = Recorder._emptyFrame();
+    this.world._recorder = this;
+    return this;
+  }
+
+  /** Stop recording. Events since the last update are discarded. */
+  stop() {
+    if (this.recording()) this.world._recorder = null;
+    this._frame = null;
+    return this;
+  }
+
+  static _emptyFrame() {
+    return { added: [], removed: [], forces: [] };
+  }
+
+  /** Forces applied to a body after it is added are recorded, so keep its accelerations from when it was added */
+  _add(body) {
+    this._frame.added.push({ body, acc: body._acc.toJSON(), angularAcc: body._angAcc });
+  }
+
+  _remove(body) {
+    const i = this._frame.added.findIndex(added => added.body === body);
+    if (i === -1) this._frame.removed.push(body.ID);
+    else this._frame.added.splice(i, 1); // Added and removed in the same frame
+  }
+
+  _force(body, force, point) {
+    const f = { id: body.ID, x: force.x, y: force.y };
+    if (point) {
+      f.px = point.x;
+      f.py = point.y;
+    }
+    this._input(f);
+  }
+
+  _torque(body, torque) {
+    this._input({ id: body.ID, torque });
+  }
+
+  /**
+   * Save a force or torque. Those applied before an update are applied before it on replay.
+   * Those applied during an update are saved with the number of substeps done so far (see Player._substep),
+   * and whether they were applied between steps - where they wake a sleeping body.
+   */
+  _input(f) {
+    if (!this._updating) {
+      this._frame.forces.push(f);
+      return;
+    }
+    f.substep = this.world._substepCount;
+    if (!this.world._stepping) f.wake = true;
+    this.frames[this.frames.length - 1].forces.push(f);
+  }
+
+  /** Called by World.update() before updating - save events since the last update */
+  _beginFrame(dt) {
+    const frame = this._frame;
+    this.frames.push({
+      dt: dt === undefined ? null : dt,
+      added: frame.added.map(({ body, acc, angularAcc }) => ({ ...body.toJSON(), acc, angularAcc })), // Serialize now, so that changes made after adding are kept
+      removed: frame.removed,
+      forces: frame.forces,
+      hash: null,
+    });
+    this._frame = Recorder._emptyFrame();
+    this._updating = true;
+  }
+
+  /** Called by World.update() after updating - save hash of the resulting state (see Player.verify()) */
+  _endFrame() {
+    this._updating = false;
+    this.frames[this.frames.length - 1].hash = stateHash(this.world);
+  }
+
+  /** Serialize the recording to a plain object, for JSON.stringify() or Player */
+  toJSON() {
+    return { version: SCHEMA_VERSION, snapshot: this.snapshot, frames: this.frames };
+  }
+}
+
+/**
+ * Plays back a recording made by Recorder. Playback may be stepped or seeked to any frame.
+ */
+export class Player {
+  /**
+   * @param recording Output of Recorder.toJSON(), a JSON string of it, or a Recorder
+   * @param keyframeInterval Save state every this many frames, to speed up seeking backwards
+   */
+  constructor(recording, keyframeInterval = 60) {
+    if (recording instanceof Recorder) recording = recording.toJSON();
+    if (typeof recording === 'string') recording = JSON.parse(recording);
+    if (recording.version > SCHEMA_VERSION) throw new Error(`Player(): Recording version ${recording.version} is newer than supported version ${SCHEMA_VERSION}`);
+    this.recording = recording;
+    this.keyframeInterval = keyframeInterval;
+    this._keyframes = new Map(); // Frame index -> World.toJSON()
+    this.world = null; // World being played back
+    this.frame = 0; // Number of frames played
+    this._pending = []; // Forces of the frame being played which were applied during its update (see _substep)
+    this.rewind();
+  }
+
+  /** Total number of frames */
+  length() {
+    return this.recording.frames.length;
+  }
+
+  /** Has every frame been played? */
+  ended() {
+    return this.frame >= this.length();
+  }
+
+  /** Go back to the start of the recording */
+  rewind() {
+    this.world = World.fromJSON(this.recording.snapshot);
+    this.frame = 0;
+    return this;
+  }
+
+  /**
+   * Play the next frame
+   * @return {boolean} Was a frame played?
+   */
+  step() {
+    if (this.ended()) return false;
+    const frame = this.recording.frames[this.frame], world = this.world;
+
+    frame.added.forEach(data => world.addBody(World.bodyFromJSON(data)));
+    frame.forces.forEach(f => {
+      if (f.substep === undefined) this._apply(f);
+    });
+    frame.removed.forEach(id => {
+      const body = world.getBody(id);
+      if (body) world.remove(body);
+    });
+    this._pending = frame.forces.filter(f => f.substep !== undefined);
+    world._player = this;
+    world.update(frame.dt === null ? undefined : frame.dt);
+    world._player = null;
+    this._pending.forEach(f => this._apply(f)); // Applied after the last step of the update
+    this._pending = [];
+
+    this.frame++;
+    if (this.frame % this.keyframeInterval === 0 && !this._keyframes.has(this.frame)) {
+      this._keyframes.set(this.frame, world.toJSON());
+    }
+    return true;
+  }
+
+  /** Called by World at the start of each substep of an update - apply forces which were applied before it while recording */
+  _substep(count) {
+    const due = this._pending.filter(f => f.substep === count);
+    if (due.length === 0) return;
+    this._pending = this._pending.filter(f => f.substep !== count);
+    due.forEach(f => this._apply(f));
+  }
+
+  /** Apply a recorded force or torque */
+  _apply(f) {
+    const body = this.world.getBody(f.id);
+    if (!body) throw new Error(`step(): Frame ${this.frame} applies a force to unknown body ${f.id}`);
+    if (f.wake && body.sleeping()) body.wake();
+    if (f.torque !== undefined) body.applyTorque(f.torque);
+    else if (f.px === undefined) body.applyForce({ x: f.x, y: f.y });
+    else body.applyForceAtPoint({ x: f.x, y: f.y }, { x: f.px, y: f.py });
+  }
+
+  /** Go to the state after the given number of frames have been played */
+  seek(frame) {
+    frame = Math.max(0, Math.min(frame, this.length()));
+    if (frame < this.frame) {
+      // Restart from the latest keyframe before the target
+      let start = 0;
+      for (let key of this._keyframes.keys()) {
+        if (key <= frame && key > start) start = key;
+      }
+      if (start === 0) {
+        this.rewind();
+      } else {
+        this.world = World.fromJSON(this._keyframes.get(start));
+        this.frame = start;
+      }
+    }
+    while (this.frame < frame) this.step();
+    return this;
+  }
+
+  /**
+   * Replay the whole recording from the start, checking that the state after every frame matches the original bit for bit
+   * @return {number} Index of the first frame which differs, or -1 if the replay matches
+   */
+  verify() {
+    this.rewind();
+    while (!this.ended()) {
+      const expected = this.recording.frames[this.frame].hash, i = this.frame;
+      this.step();
+      if (expected !== null && stateHash(this.world) !== expected) return i;
+    }
+    return -1;
+  }
+}
+
+export default Recorder;
@@ -0,0 +1,301 @@
+import { DrawableBodyMode } from "./enums.js";
+import { Body } from "./Body.js";
+import { Spring } from "./Constraint.js";
+import { MagneticField } from "./ForceField.js";
+import { Vector } from "./Vector.js";
+
+/**
+ * Draws a World using P5. This is the only part of the project which needs P5.
+ * Colours held by bodies, areas etc. are arrays of arguments to P5's color() (or P5 colour objects).
+ */
+export class Renderer {
+  /**
+   * @param p P5 instance (instance mode). Defaults to the global scope (global mode).
+   */
+  constructor(p = globalThis) {
+    this.p = p;
+
+    // Debug layers, drawn when world.debug is true
+    this.debug = {
+      boundingBoxes: true, // Bounding box of each body
+      sleeping: true, // Grey bounding box if a body is asleep
+      velocity: true, // Velocity arrows (green)
+      acceleration: true, // Acceleration arrows (red)
+      contacts: true, // Contact points and normals of collisions in the last update
+      ids: true, // Body IDs
+      areas: true, // Outlines of areas
+      fields: true, // Grid of electric field arrows (blue) and magnetic field markers (x = into screen, dot = out of screen)
+      hud: true, // Body count, broad phase pairs, collisions and update time
+    };
+    this.velocityScale = 10; // Length of velocity arrow per pixel per tick
+    this.accelerationScale = 200; // Length of acceleration arrow per pixel per tick per tick
+    this.fieldSpacing = 40; // Distance between points of the field grid
+    this.fieldScale = 1000; // Length of electric field arrow per unit of field strength
+  }
+
+  /** Convert stored colour to something P5 accepts */
+  _color(c) {
+    return Array.isArray(c) ? this.p.color(...c) : c;
+  }
+
+  /** Set fill and stroke from stored colours (null = none) */
+  _style(fill, stroke) {
+    const p = this.p;
+    if (stroke === null) p.noStroke(); else p.stroke(this._color(stroke));
+    if (fill === null) p.noFill(); else p.fill(this._color(fill));
+  }
+
+  /** Draw a closed path of [x, y] vertices */
+  _path(path) {
+    const p = this.p;
+    p.beginShape();
+    path.forEach(v => p.vertex(v[0], v[1]));
+    p.endShape(p.CLOSE);
+  }
+
+  /** Show everything in this beautiful world :) */
+  draw(world) {
+    const p = this.p;
+    p.background(255); // "Clear" canvas
+    if (world.background || world.borders) {
+      this._style(world.background || null, world.borders || null);
+      p.strokeWeight(1);
+      p.rect(world.x, world.y, world.w, world.h);
+    }
+
+    world.areas.forEach(a => this.drawArea(a));
+    world.bodies.forEach(b => this.drawBody(b));
+    world.softBodies.forEach(s => this.drawSoftBody(s));
+    if (world.showConstraints) world.constraints.forEach(c => this.drawConstraint(c));
+    if (world.debug) this.drawDebug(world);
+    return this;
+  }
+
+  drawArea(area) {
+    const p = this.p;
+    this._style(area._fill, area._stroke);
+
+    switch (area._mode) {
+      case DrawableBodyMode.Ellipse:
+        p.ellipse(area._pos.x, area._pos.y, area._w, area._h);
+        break;
+      case DrawableBodyMode.Rectangle:
+        p.rect(area._pos.x, area._pos.y, area._w, area._h);
+        break;
+      case DrawableBodyMode.Path:
+        this._path(area._path);
+        break;
+      default:
+        throw new Error(`drawArea(): Unknown draw mode ${area._mode}`);
+    }
+    return this;
+  }
+
+  drawBody(body) {
+    const p = this.p;
+    this._style(body._fill, body._stroke);
+
+    // Interpolate between previous and current state
+    const alpha = body._world ? body._world.alpha : 1, c = body.centre();
+    p.push();
+    if (body._prevPos && alpha < 1) {
+      const offset = Vector.lerp(body._prevPos, body._pos, alpha).sub(body._pos);
+      p.translate(c.x + offset.x, c.y + offset.y);
+      p.rotate((body._prevAngle - body._angle) * (1 - alpha));
+      p.translate(-c.x, -c.y);
+    }
+
+    switch (body._mode) {
+      case DrawableBodyMode.Point:
+        p.point(body.posX(), body.posY());
+        break;
+      case DrawableBodyMode.Ellipse:
+        p.push();
+        p.translate(body.posX(), body.posY());
+        p.rotate(body._angle);
+        p.ellipse(0, 0, body._w, body._h);
+        p.pop();
+        break;
+      case DrawableBodyMode.Rectangle:
+        p.push();
+        p.translate(c.x, c.y);
+        p.rotate(body._angle);
+        p.rect(-body._w / 2, -body._h / 2, body._w, body._h);
+        p.pop();
+        break;
+      case DrawableBodyMode.Path:
+        this._path(body._path);
+        break;
+      case DrawableBodyMode.Compound:
+        body._children.forEach(child => {
+          if (child.mode === DrawableBodyMode.Ellipse) {
+            p.push();
+            p.translate(child.centre.x, child.centre.y);
+            p.rotate(body._angle + child.angle);
+            p.ellipse(0, 0, child.w, child.h);
+            p.pop();
+          } else {
+            this._path(child.vertices.map(v => [v.x, v.y]));
+          }
+        });
+        break;
+      default:
+        throw new Error(`drawBody(): Unknown draw mode ${body._mode}`);
+    }
+    p.pop();
+    return this;
+  }
+
+  /** Draw the outline of a soft body as a filled path through its particles */
+  drawSoftBody(softBody) {
+    if (softBody.outline.length < 2) return this;
+    this._style(softBody._fill, softBody._stroke);
+
+    // Interpolate between previous and current state
+    const alpha = softBody._world ? softBody._world.alpha : 1;
+    this._path(softBody.outline.map(i => {
+      const particle = softBody.particles[i];
+      const pos = particle._prevPos && alpha < 1 ? Vector.lerp(particle._prevPos, particle._pos, alpha) : particle._pos;
+      return [pos.x, pos.y];
+    }));
+    return this;
+  }
+
+  /** Draw an arrow from point along vector */
+  _arrow(point, vector, colour) {
+    const p = this.p, len = vector.mag();
+    if (len < 1) return;
+    const end = Vector.add(point, vector), head = Vector.mult(vector, -Math.min(6, len / 2) / len);
+    p.stroke(this._color(colour));
+    p.line(point.x, point.y, end.x, end.y);
+    p.line(end.x, end.y, end.x + head.x - head.y / 2, end.y + head.y + head.x / 2);
+    p.line(end.x, end.y, end.x + head.x + head.y / 2, end.y + head.y - head.x / 2);
+  }
+
+  /** Draw enabled debug layers (see this.debug) */
+  drawDebug(world) {
+    const p = this.p, layers = this.debug;
+    p.push();
+    p.strokeWeight(1);
+    p.noFill();
+
+    if (layers.areas) {
+      p.stroke(255, 0, 255);
+      world.areas.forEach(area => {
+        if (area._mode === DrawableBodyMode.Path) this._path(area._path);
+        else p.rect(area._bb.pos.x, area._bb.pos.y, area._bb.w, area._bb.h);
+      });
+    }
+
+    if (layers.fields) this._drawFields(world);
+
+    world.bodies.forEach(body => {
+      const bb = body._bb, c = body.centre();
+      if (layers.boundingBoxes || (layers.sleeping && body._sleeping)) {
+        if (layers.sleeping && body._sleeping) p.stroke(150);
+        else p.stroke(0, 0, 250);
+        p.rect(bb.pos.x, bb.pos.y, bb.w, bb.h);
+      }
+      if (layers.velocity) this._arrow(c, Vector.mult(body._vel, this.velocityScale), [0, 200, 0]);
+      if (layers.acceleration) this._arrow(c, Vector.mult(body._lastAcc, this.accelerationScale), [250, 0, 0]);
+    });
+
+    if (layers.contacts) {
+      world._manifolds.forEach(m => m.contacts.forEach(contact => {
+        p.stroke(255, 150, 0);
+        p.circle(contact.x, contact.y, 4);
+        p.line(contact.x, contact.y, contact.x + m.normal.x * 10, contact.y + m.normal.y * 10);
+      }));
+    }
+
+    if (layers.ids) {
+      p.noStroke();
+      p.fill(250, 0, 250);
+      p.textSize(10);
+      p.textAlign(p.CENTER, p.CENTER);
+      world.bodies.forEach(body => {
+        const c = body.centre();
+        p.text(body.ID, c.x, c.y);
+      });
+    }
+
+    if (layers.hud) {
+      const lines = [
+        `Bodies: ${world.bodyCount()}`,
+        `Pairs: ${world.profile.pairs}`,
+        `Collisions: ${world.profile.collisions}`,
+        `Update: ${world.profile.updateTime.toFixed(2)} ms`,
+      ];
+      p.noStroke();
+      p.fill(255, 255, 255, 200);
+      p.rect(world.x + 5, world.y + 5, 130, lines.length * 14 + 6);
+      p.fill(0);
+      p.textSize(12);
+      p.textAlign(p.LEFT, p.TOP);
+      lines.forEach((line, i) => p.text(line, world.x + 10, world.y + 8 + i * 14));
+    }
+
+    p.pop();
+    return this;
+  }
+
+  /** Draw electric and magnetic fields on a grid */
+  _drawFields(world) {
+    const p = this.p, spacing = this.fieldSpacing;
+    const charged = world.k !== 0 && world.bodies.some(body => body._charge !== 0);
+    const magnetic = world.fields.filter(field => field instanceof MagneticField);
+    if (!charged && magnetic.length === 0) return;
+
+    for (let x = world.x + spacing / 2; x < world.x + world.w; x += spacing) {
+      for (let y = world.y + spacing / 2; y < world.y + world.h; y += spacing) {
+        const point = new Vector(x, y);
+        if (magnetic.length > 0) {
+          const B = magnetic.reduce((total, field) => total + field.at(point), 0);
+          p.stroke(0, 150, 150);
+          if (B > 0) {
+            p.line(x - 3, y - 3, x + 3, y + 3);
+            p.line(x - 3, y + 3, x + 3, y - 3);
+          } else if (B < 0) {
+            p.circle(x, y, 3);
+          }
+        }
+        if (charged) {
+          const E = world.electricField(point), len = Math.min(E.mag() * this.fieldScale, spacing * 0.8);
+          this._arrow(Vector.sub(point, E.copy().setMag(len / 2)), E.setMag(len), [0, 100, 255]);
+        }
+      }
+    }
+  }
+
+  drawConstraint(constraint) {
+    if (constraint._stroke === null) return this;
+    const p = this.p, pa = constraint.pointA(), pb = constraint.pointB();
+    p.stroke(this._color(constraint._stroke));
+    p.strokeWeight(1);
+    p.noFill();
+
+    if (constraint instanceof Spring) {
+      // Draw as a zig-zag
+      const d = Vector.sub(pb, pa), coils = 8;
+      const perp = new Vector(-d.y, d.x).setMag(4);
+      p.beginShape();
+      p.vertex(pa.x, pa.y);
+      for (let i = 1; i < coils * 2; i++) {
+        const v = Vector.add(pa, Vector.mult(d, i / (coils * 2)));
+        if (i % 2) v.add(perp); else v.sub(perp);
+        p.vertex(v.x, v.y);
+      }
+      p.vertex(pb.x, pb.y);
+      p.endShape();
+    } else {
+      p.line(pa.x, pa.y, pb.x, pb.y);
+    }
+
+    // Fixed ends
+    if (!(constraint.a instanceof Body)) p.circle(pa.x, pa.y, 4);
+    if (!(constraint.b instanceof Body)) p.circle(pb.x, pb.y, 4);
+    return this;
+  }
+}
+
+export default Renderer;
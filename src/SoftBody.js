@@ -0,0 +1,314 @@
+import { DrawableBodyMode } from "./enums.js";
+import { DrawableBody, polygonArea } from "./Body.js";
+import { Spring } from "./Constraint.js";
+import { Vector } from "./Vector.js";
+import { colourToJSON } from "./serialize.js";
+
+/**
+ * A soft body - point masses (small circular DrawableBody particles) joined by springs.
+ * Particles are ordinary bodies of the world, so they collide with other bodies and world edges, but not with each other
+ * (they share a negative collision group). Gaps between particles are not solid, so small bodies may pass through them.
+ * Build one with SoftBody.blob(), SoftBody.box() or SoftBody.cloth().
+ */
+export class SoftBody {
+  /**
+   * @param particles Array of DrawableBody
+   * @param outline Indices of particles around the edge, in order. Drawn as a filled path, and pressure pushes on it.
+   */
+  constructor(particles, outline = []) {
+    this.particles = particles;
+    this.outline = outline;
+    this.springs = []; // Springs between particles (see connect)
+    this._stiffness = 0.2; // Spring constant of springs
+    this._damping = 0.05; // Damping coefficient of springs
+    this._pressure = 0; // Resistance to change of the area enclosed by the outline. 0 = none.
+    this._shapeStiffness = 0; // Strength of the pull of each particle towards the (rotated) rest shape. 0 = none.
+    this._rest = []; // Rest shape - position of each particle relative to the centre of mass
+    this._restArea = 0; // Area enclosed by the outline in the rest shape
+    this._fill = [0, 150, 255, 150]; // Colour (array of arguments to P5's color()) OR null
+    this._stroke = [0]; // Colour (array of arguments to P5's color()) OR null
+    this._world = null;
+    this.setRestShape();
+  }
+
+  /** Create a particle */
+  static _particle(x, y, radius) {
+    return new DrawableBody(x, y, radius * 2, radius * 2)
+      .setDrawMode(DrawableBodyMode.Ellipse)
+      .coefficientOfRestitution(0)
+      .coefficientOfFriction(0.5)
+      .fill(null);
+  }
+
+  /**
+   * Create a ring of particles held in shape by pressure
+   * @param x Centre
+   * @param y Centre
+   * @param count Number of particles
+   */
+  static blob(x, y, radius, count = 16, particleRadius = 5) {
+    const particles = [];
+    for (let i = 0; i < count; i++) {
+      const angle = 2 * Math.PI * i / count;
+      particles.push(SoftBody._particle(x + radius * Math.cos(angle), y + radius * Math.sin(angle), particleRadius));
+    }
+    const blob = new SoftBody(particles, particles.map((_, i) => i));
+    for (let i = 0; i < count; i++) {
+      blob.connect(i, (i + 1) % count); // Edges
+      blob.connect(i, (i + 2) % count); // Resist bending
+    }
+    return blob.pressure(1);
+  }
+
+  /**
+   * Create a grid of cols x rows particles joined by springs along rows, columns and diagonals
+   * @param x Top-left
+   * @param y Top-left
+   */
+  static _grid(x, y, w, h, cols, rows, particleRadius) {
+    if (cols < 2 || rows < 2) throw new Error(`_grid(): A soft body grid needs at least 2 columns and 2 rows`);
+    const particles = [], index = (col, row) => row * cols + col;
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        particles.push(SoftBody._particle(x + w * col / (cols - 1), y + h * row / (rows - 1), particleRadius));
+      }
+    }
+
+    // Perimeter, clockwise from top-left
+    const outline = [];
+    for (let col = 0; col < cols; col++) outline.push(index(col, 0));
+    for (let row = 1; row < rows; row++) outline.push(index(cols - 1, row));
+    for (let col = cols - 2; col >= 0; col--) outline.push(index(col, rows - 1));
+    for (let row = rows - 2; row > 0; row--) outline.push(index(0, row));
+
+    const grid = new SoftBody(particles, outline);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (col < cols - 1) grid.connect(index(col, row), index(col + 1, row));
+        if (row < rows - 1) grid.connect(index(col, row), index(col, row + 1));
+        if (col < cols - 1 && row < rows - 1) {
+          grid.connect(index(col, row), index(col + 1, row + 1)); // Resist shear
+          grid.connect(index(col + 1, row), index(col, row + 1));
+        }
+      }
+    }
+    return grid;
+  }
+
+  /**
+   * Create a box of jelly - a grid of cols x rows particles, held in shape by shape matching
+   * @param x Top-left
+   * @param y Top-left
+   */
+  static box(x, y, w, h, cols = 5, rows = 5, particleRadius = 5) {
+    return SoftBody._grid(x, y, w, h, cols, rows, particleRadius).shapeStiffness(0.05);
+  }
+
+  /**
+   * Create a sheet of cloth - a grid of cols x rows particles, which only keeps its shape through springs.
+   * Hang it up with pin().
+   * @param x Top-left
+   * @param y Top-left
+   */
+  static cloth(x, y, w, h, cols = 10, rows = 10, particleRadius = 3) {
+    const cloth = SoftBody._grid(x, y, w, h, cols, rows, particleRadius);
+    cloth.particles.forEach(particle => particle.linearDrag(0.02)); // Air resistance, so that it settles
+    return cloth;
+  }
+
+  /** Join particles at indices i and j with a spring, at their current distance */
+  connect(i, j) {
+    this.springs.push(new Spring(this.particles[i], this.particles[j], undefined, this._stiffness, this._damping));
+    return this;
+  }
+
+  /** Make particles at the given indices static, e.g. to hang up cloth */
+  pin(...indices) {
+    indices.forEach(i => this.particles[i].static = true);
+    return this;
+  }
+
+  /** Use the current positions of particles as the rest shape, for shape matching and pressure */
+  setRestShape() {
+    const c = this.centre();
+    this._rest = this.particles.map(particle => particle.centre().sub(c));
+    this._restArea = this._area();
+    return this;
+  }
+
+  /** Get/Set spring constant of every spring. Above about 0.3 per unit mass of a particle, raise World.substeps to stay stable. */
+  stiffness(value = undefined) {
+    if (typeof value === 'number') {
+      this._stiffness = Math.max(0, value);
+      this.springs.forEach(spring => spring.stiffness = this._stiffness);
+      return this;
+    }
+    return this._stiffness;
+  }
+
+  /** Get/Set damping coefficient of every spring */
+  damping(value = undefined) {
+    if (typeof value === 'number') {
+      this._damping = Math.max(0, value);
+      this.springs.forEach(spring => spring.damping = this._damping);
+      return this;
+    }
+    return this._damping;
+  }
+
+  /** Get/Set pressure - force per unit length of outline per unit of fractional change in enclosed area */
+  pressure(value = undefined) {
+    if (typeof value === 'number') {
+      this._pressure = Math.max(0, value);
+      return this;
+    }
+    return this._pressure;
+  }
+
+  /** Get/Set stiffness of shape matching - acceleration of each particle towards its goal, per pixel away from it */
+  shapeStiffness(value = undefined) {
+    if (typeof value === 'number') {
+      this._shapeStiffness = Math.max(0, value);
+      return this;
+    }
+    return this._shapeStiffness;
+  }
+
+  /** Get/Set total mass, shared equally between particles */
+  mass(value = undefined) {
+    if (typeof value === 'number') {
+      this.particles.forEach(particle => particle.mass(value / this.particles.length));
+      return this;
+    }
+    return this.particles.reduce((sum, particle) => sum + particle.mass(), 0);
+  }
+
+  /** Get/Set collision group of every particle */
+  collisionGroup(value = undefined) {
+    if (value === undefined) return this.particles.length === 0 ? 0 : this.particles[0].collisionGroup();
+    this.particles.forEach(particle => particle.collisionGroup(value));
+    return this;
+  }
+
+  /** Set this._fill to [arguments] of P5's color(), or NULL */
+  fill(...args) {
+    this._fill = args[0] === null ? null : args;
+    return this;
+  }
+
+  /** Set this._stroke to [arguments] of P5's color(), or NULL */
+  stroke(...args) {
+    this._stroke = args[0] === null ? null : args;
+    return this;
+  }
+
+  /** Get centre of mass of particles */
+  centre() {
+    const c = new Vector(0, 0), mass = this.mass();
+    if (mass === 0) return c;
+    this.particles.forEach(particle => c.add(particle.centre().mult(particle.mass())));
+    return c.div(mass);
+  }
+
+  /** Get positions of outline particles as [x, y] */
+  outlinePath() {
+    return this.outline.map(i => this.particles[i].centre().array());
+  }
+
+  /** Get area enclosed by the outline */
+  _area() {
+    return this.outline.length < 3 ? 0 : polygonArea(this.outlinePath());
+  }
+
+  /** Is the given body one of this soft body's particles? */
+  involves(body) {
+    return this.particles.includes(body);
+  }
+
+  /** Apply spring, pressure and shape matching forces to particles - called before bodies are updated */
+  applyForces() {
+    this.springs.forEach(spring => spring.applyForces());
+    if (this._pressure !== 0 && this._restArea !== 0) this._applyPressure();
+    if (this._shapeStiffness !== 0) this._applyShapeMatching();
+  }
+
+  /** Push each edge of the outline along its normal, in proportion to the fractional change in enclosed area */
+  _applyPressure() {
+    const path = this.outlinePath(), n = path.length;
+    let signed = 0;
+    for (let i = 0; i < n; i++) {
+      const [x1, y1] = path[i], [x2, y2] = path[(i + 1) % n];
+      signed += x1 * y2 - x2 * y1;
+    }
+    const area = Math.abs(signed) / 2;
+    const P = this._pressure * Math.min(this._restArea / Math.max(area, 1) - 1, 10); // Limit force when crushed
+    const sign = signed > 0 ? 1 : -1;
+    for (let i = 0; i < n; i++) {
+      const a = this.particles[this.outline[i]], b = this.particles[this.outline[(i + 1) % n]];
+      const [x1, y1] = path[i], [x2, y2] = path[(i + 1) % n];
+      const F = new Vector(y2 - y1, x1 - x2).mult(sign * P / 2); // Outward normal, with length of edge - shared by both ends
+      a.applyForce(F);
+      b.applyForce(F);
+    }
+  }
+
+  /** Pull each particle towards its position in the rest shape, moved and rotated to best fit the current positions */
+  _applyShapeMatching() {
+    const c = this.centre();
+    let dot = 0, cross = 0;
+    this.particles.forEach((particle, i) => {
+      const d = particle.centre().sub(c), r = this._rest[i], m = particle.mass();
+      dot += m * r.dot(d);
+      cross += m * r.cross(d);
+    });
+    const angle = Math.atan2(cross, dot);
+    this.particles.forEach((particle, i) => {
+      const goal = Vector.add(c, this._rest[i].copy().rotate(angle));
+      particle.applyForce(goal.sub(particle.centre()).mult(this._shapeStiffness * particle.mass()));
+    });
+  }
+
+  /** Serialize to a plain object (see World.toJSON). Particles are referenced by ID. */
+  toJSON() {
+    return {
+      type: 'SoftBody',
+      particles: this.particles.map(particle => particle.ID),
+      outline: this.outline.slice(),
+      springs: this.springs.map(spring => [this.particles.indexOf(spring.a), this.particles.indexOf(spring.b), spring.restLength]),
+      rest: this._rest.map(v => [v.x, v.y]),
+      restArea: this._restArea,
+      stiffness: this._stiffness,
+      damping: this._damping,
+      pressure: this._pressure,
+      shapeStiffness: this._shapeStiffness,
+      fill: colourToJSON(this._fill),
+      stroke: colourToJSON(this._stroke),
+    };
+  }
+
+  /**
+   * Create a soft body from the output of toJSON()
+   * @param data Serialized soft body
+   * @param bodies Map of body ID -> Body
+   */
+  static fromJSON(data, bodies) {
+    const particles = data.particles.map(id => {
+      const body = bodies.get(id);
+      if (!body) throw new Error(`fromJSON(): SoftBody refers to unknown body ${id}`);
+      return body;
+    });
+    const softBody = new SoftBody(particles, data.outline.slice());
+    softBody._stiffness = data.stiffness;
+    softBody._damping = data.damping;
+    softBody._pressure = data.pressure;
+    softBody._shapeStiffness = data.shapeStiffness;
+    softBody.springs = data.springs.map(([i, j, restLength]) => new Spring(particles[i], particles[j], restLength, data.stiffness, data.damping));
+    softBody._rest = data.rest.map(v => new Vector(v[0], v[1]));
+    softBody._restArea = data.restArea;
+    softBody._fill = data.fill;
+    softBody._stroke = data.stroke;
+    return softBody;
+  }
+}
+
+export default SoftBody;
@@ -0,0 +1,180 @@
+/**
+ * 2D vector used by the physics core.
+ * Mirrors the parts of the p5.Vector API used by this project, so that the core runs without P5.
+ * Methods mutate and return this; static methods return a new vector.
+ */
+export class Vector {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /** Create a Vector from anything with x and y properties (e.g. a p5.Vector) */
+  static from(v) {
+    return new Vector(v.x, v.y);
+  }
+
+  /** Create a unit vector pointing at the given angle */
+  static fromAngle(angle, length = 1) {
+    return new Vector(length * Math.cos(angle), length * Math.sin(angle));
+  }
+
+  copy() {
+    return new Vector(this.x, this.y);
+  }
+
+  /** Set components. Accepts a vector or (x, y). */
+  set(x, y = undefined) {
+    if (typeof x === 'object') {
+      this.x = x.x;
+      this.y = x.y;
+    } else {
+      this.x = x;
+      this.y = y === undefined ? this.y : y;
+    }
+    return this;
+  }
+
+  /** Add a vector or (x, y) */
+  add(x, y = 0) {
+    if (typeof x === 'object') {
+      this.x += x.x;
+      this.y += x.y;
+    } else {
+      this.x += x;
+      this.y += y;
+    }
+    return this;
+  }
+
+  /** Subtract a vector or (x, y) */
+  sub(x, y = 0) {
+    if (typeof x === 'object') {
+      this.x -= x.x;
+      this.y -= x.y;
+    } else {
+      this.x -= x;
+      this.y -= y;
+    }
+    return this;
+  }
+
+  mult(n) {
+    this.x *= n;
+    this.y *= n;
+    return this;
+  }
+
+  div(n) {
+    this.x /= n;
+    this.y /= n;
+    return this;
+  }
+
+  magSq() {
+    return this.x * this.x + this.y * this.y;
+  }
+
+  mag() {
+    return Math.sqrt(this.magSq());
+  }
+
+  dot(v) {
+    return this.x * v.x + this.y * v.y;
+  }
+
+  /** 2D cross product (z component of the 3D cross product) */
+  cross(v) {
+    return this.x * v.y - this.y * v.x;
+  }
+
+  dist(v) {
+    return Math.hypot(v.x - this.x, v.y - this.y);
+  }
+
+  /** Scale to unit length. The zero vector is left unchanged. */
+  normalize() {
+    const m = this.mag();
+    if (m !== 0) this.div(m);
+    return this;
+  }
+
+  setMag(n) {
+    return this.normalize().mult(n);
+  }
+
+  limit(max) {
+    const mSq = this.magSq();
+    if (mSq > max * max) this.div(Math.sqrt(mSq)).mult(max);
+    return this;
+  }
+
+  /** Angle of rotation of this vector */
+  heading() {
+    return Math.atan2(this.y, this.x);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle), sin = Math.sin(angle), x = this.x;
+    this.x = x * cos - this.y * sin;
+    this.y = x * sin + this.y * cos;
+    return this;
+  }
+
+  /** Linear interpolate towards v by amt */
+  lerp(v, amt) {
+    this.x += (v.x - this.x) * amt;
+    this.y += (v.y - this.y) * amt;
+    return this;
+  }
+
+  equals(v) {
+    return this.x === v.x && this.y === v.y;
+  }
+
+  array() {
+    return [this.x, this.y];
+  }
+
+  toJSON() {
+    return { x: this.x, y: this.y };
+  }
+
+  toString() {
+    return `Vector [${this.x}, ${this.y}]`;
+  }
+
+  static add(a, b) {
+    return Vector.from(a).add(b);
+  }
+
+  static sub(a, b) {
+    return Vector.from(a).sub(b);
+  }
+
+  static mult(v, n) {
+    return Vector.from(v).mult(n);
+  }
+
+  static div(v, n) {
+    return Vector.from(v).div(n);
+  }
+
+  static dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+  }
+
+  static cross(a, b) {
+    return a.x * b.y - a.y * b.x;
+  }
+
+  static dist(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  }
+
+  static lerp(a, b, amt) {
+    return Vector.from(a).lerp(b, amt);
+  }
+}
+
+export default Vector;
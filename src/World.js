@@ -1,25 +1,144 @@
 import { Body, DrawableBody } from './Body.js';
-import { EdgeMode } from './enums.js';
+import { CompoundBody } from './CompoundBody.js';
+import { Area } from './Area.js';
+import { Constraint } from './Constraint.js';
+import { ForceField } from './ForceField.js';
+import { SoftBody } from './SoftBody.js';
+import { BroadPhaseMode, EdgeMode } from './enums.js';
+import { BroadPhase, boundingBoxesOverlap, createBroadPhase } from './BroadPhase.js';
+import { Manifold, timeOfImpact } from './collision.js';
+import { collidePointRect } from './collide.js';
+import { Vector } from './Vector.js';
+import { SCHEMA_VERSION, colourToJSON } from './serialize.js';
+import { Emitter } from './Emitter.js';
+import { raycastShape, segmentHitsBox, shapeContainsPoint, shapeOverlapsPolygon } from './query.js';
+
+/** Settings of World which are saved by toJSON() as they are */
+const SETTINGS = [
+  'edgeMode', 'timestep', 'substeps', 'maxSteps', 'doCollisions', 'iterations', 'warmStarting', 'positionIterations', 'restingThreshold',
+  'correctionPercent', 'correctionSlop', 'constraintIterations', 'edgeRestitution', 'edgeFriction', 'k', 'chargeSoftening', 'mediumDensity', 'enableSleeping', 'sleepThreshold', 'sleepTime',
+  'showConstraints', 'debug', 'logWarnings',
+];
+
+/** Body classes which may be restored by fromJSON(), by their "type" */
+const BODY_TYPES = { DrawableBody, CompoundBody };
+
+/** Unit of simulation time in milliseconds. Velocities are in pixels per tick, accelerations in pixels per tick per tick. */
+export const TICK = 1000 / 60;
+
+/** Key identifying a pair of bodies, regardless of order */
+const pairKey = (a, b) => a.ID < b.ID ? a.ID + ':' + b.ID : b.ID + ':' + a.ID;
+
+/** Current time in milliseconds, for profiling */
+const now = () => typeof performance !== 'undefined' ? performance.now() : Date.now();
+
+/** Is body static or asleep? Pairs of such bodies are not tested for collision. */
+const immovable = body => body.static || body._sleeping;
 
 /**
  * A world is defined as a collection of bodies/areas
+ *
+ * Events:
+ * - bodyAdded, bodyRemoved (body)
+ * - beforeStep, afterStep (world)
+ * - collisionStart, collisionActive, collisionEnd (pair) - two bodies began touching, are still touching, or stopped touching.
+ *   pair is { a, b, manifold, speed }, where speed is the speed of impact along the normal. Also emitted on both bodies.
+ *   For collisionEnd, manifold is null and speed is 0.
+ * - sensorEnter, sensorExit (pair) - a body started or stopped overlapping a sensor. pair is { a, b, manifold }, where a is the sensor.
+ *   Also emitted on both bodies.
  */
-export class World {
+export class World extends Emitter {
   constructor(x = 0, y = 0, w = 400, h = 400) {
+    super();
     this.x = x;
     this.y = y;
     this.w = w;
     this.h = h;
-    this.background = null; // P5 color OR null
-    this.borders = color(0); // P5 color OR null
+    this.background = null; // Colour (array of arguments to P5's color()) OR null
+    this.borders = [0]; // Colour (array of arguments to P5's color()) OR null
 
     this.bodies = []; // Store array of bodies
     this.areas = []; // Store array of areas
-    this.G = createVector(0, 0.1); // Gravity vector
-    this.edgeMode = EdgeMode.None; // What to do when body encountered an edge?
+    this.constraints = []; // Store array of constraints (springs, joints...)
+    this.fields = []; // Store array of force fields (gravitation, attractors, wind...)
+    this.softBodies = []; // Store array of soft bodies (blobs, jelly, cloth...)
+    this.G = new Vector(0, 0.1); // Gravity vector (acceleration, in pixels per tick per tick)
+    this.mediumDensity = 0.0001; // Density of the medium (e.g. air) the world is filled with - used by the quadratic drag of bodies
+    this.k = 1; // Coulomb constant - strength of the electric force between charged bodies (see Body.charge). 0 = none.
+    this.chargeSoftening = 5; // Softening length of the electric force - stops it becoming huge when charges are close together
+    this.edgeMode = EdgeMode.None; // What to do when body encountered an edge? EdgeMode, or { top, right, bottom, left } of EdgeMode for each edge
+    this.edgeRestitution = 1; // Coefficient of restitution of edges of mode EdgeMode.Bounce. The lower of this and the body's is used.
+    this.edgeFriction = 0; // Coefficient of friction of edges of mode EdgeMode.Bounce. The mean of this and the body's is used.
+    this.timestep = TICK; // Duration (ms) of a fixed update
+    this.substeps = 1; // Integration substeps per fixed update
+    this.maxSteps = 5; // Max fixed updates per call to update(dt). Excess time is dropped.
+    this.alpha = 1; // Interpolation factor between previous and current state, for rendering
+    this._accumulator = 0; // Time (ms) not yet simulated
     this.doCollisions = true;
+    this.broadPhase = createBroadPhase(BroadPhaseMode.SweepAndPrune); // Finds pairs of bodies which may be colliding
+    this.iterations = 10; // Collision solver iterations per update
+    this.warmStarting = true; // Start the collision solver from the impulses of the last update, so that stacks settle?
+    this.positionIterations = 3; // Overlap correction iterations per update
+    this.restingThreshold = 0.5; // Approach speed below which colliding bodies will not bounce
+    this.correctionPercent = 0.8; // Fraction of overlap between colliding bodies which is corrected each update
+    this.correctionSlop = 0.05; // Overlap (in pixels) allowed between colliding bodies before correction
+    this.constraintIterations = 5; // Constraint solver iterations per update
+    this.enableSleeping = true; // Put bodies which are at rest to sleep, so that they are skipped?
+    this.sleepThreshold = 0.05; // Speed (pixels per tick) below which a body is at rest
+    this.sleepTime = 500; // Time (ms) a body must be at rest before falling asleep
+    this.showConstraints = true; // Draw constraints?
     this.debug = false;
     this.logWarnings = false; // console.warn(...)
+
+    this._nextId = 0; // ID given to the next body added
+    this._seed = 0;
+    this._rngState = 0; // State of random number generator (see random())
+    this.seed((Math.random() * 2 ** 32) >>> 0);
+    this._recorder = null; // Recorder which is recording this world, or null
+    this._player = null; // Player which is replaying a recording into this world, or null
+    this._stepping = false; // Inside step()?
+    this._applyingForces = false; // Applying gravity, drag, fields...? These forces are not recorded, as they are applied again on replay.
+    this._substepCount = 0; // Substeps started in the current (or last) call to update() - for recording
+    this._touching = new Map(); // Pairs of bodies in contact after the last update: pairKey -> pair (see collisionStart)
+    this._sensing = new Map(); // Pairs of sensor and body overlapping after the last update: pairKey -> pair (see sensorEnter)
+    this._manifolds = []; // Collisions resolved in the last update - for debug drawing
+    this.profile = { pairs: 0, collisions: 0, updateTime: 0 }; // Broad phase pairs, collisions resolved and time (ms) taken by the last call to update()
+    this.statsHistoryLength = 0; // Number of steps of stats() kept in this.statsHistory. 0 = none.
+    this.statsHistory = []; // stats() after each step, oldest first
+    this._stepCount = 0; // Fixed updates done
+    this._stepStart = null; // Totals (see _totals()) at the start of the last step
+  }
+
+  /** Get/Set seed of random number generator. Setting the seed restarts the sequence. */
+  seed(value = undefined) {
+    if (value === undefined) return this._seed;
+    this._seed = value >>> 0;
+    this._rngState = this._seed;
+    return this;
+  }
+
+  /**
+   * Seeded random number (mulberry32). Use this instead of P5's random() so that simulations are reproducible.
+   * random() returns a number in [0, 1), random(max) in [0, max) and random(min, max) in [min, max).
+   */
+  random(min = undefined, max = undefined) {
+    let t = this._rngState = (this._rngState + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const r = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    if (min === undefined) return r;
+    if (max === undefined) return r * min;
+    return min + r * (max - min);
+  }
+
+  /**
+   * Get EdgeMode of an edge
+   * @param side 'top', 'right', 'bottom' or 'left'
+   */
+  getEdgeMode(side) {
+    if (typeof this.edgeMode !== 'object') return this.edgeMode;
+    const mode = this.edgeMode[side];
+    return mode === undefined ? EdgeMode.None : mode;
   }
 
   /** Get number of bodies in this World */
@@ -27,13 +146,22 @@ export class World {
     return this.bodies.length;
   }
 
-  /** Push a body to this world */
+  /** Push a body to this world. Bodies without an ID are given one. */
   addBody(body) {
+    if (body._id === null || this.getBody(body._id)) body._id = this._nextId++;
+    else if (body._id >= this._nextId) this._nextId = body._id + 1;
     body._world = this;
     this.bodies.push(body);
+    if (this._recorder && !this._stepping) this._recorder._add(body);
+    this.emit('bodyAdded', body);
     return this;
   }
 
+  /** Get body with the given ID, or null */
+  getBody(id) {
+    return this.bodies.find(body => body._id === id) || null;
+  }
+
   /**
    * Remove body from this world
    * @return {boolean} Removed?
@@ -42,68 +170,626 @@ export class World {
     const i = this.bodies.indexOf(body);
     if (i !== -1) {
       this.bodies.splice(i, 1);
+      body._world = null;
+      this.constraints.filter(c => c.involves(body)).forEach(c => this.removeConstraint(c));
+      this.fields.filter(f => f.involves(body)).forEach(f => this.removeField(f));
+      this.softBodies.filter(s => s.involves(body)).forEach(s => this.removeSoftBody(s));
+      if (this._recorder && !this._stepping) this._recorder._remove(body);
+      this._touching.forEach(pair => {
+        if (pair.a === body) pair.b.wake(); // Bodies resting on body may fall
+        else if (pair.b === body) pair.a.wake();
+      });
+      this.emit('bodyRemoved', body);
+      return true;
+    }
+    return false;
+  }
+
+  /** Push an area to this world */
+  addArea(area) {
+    if (!(area instanceof Area)) throw new TypeError(`addArea(): Expected an Area, got ${area}`);
+    area._world = this;
+    this.areas.push(area);
+    return this;
+  }
+
+  /**
+   * Remove area from this world
+   * @return {boolean} Removed?
+   * */
+  removeArea(area) {
+    const i = this.areas.indexOf(area);
+    if (i !== -1) {
+      this.areas.splice(i, 1);
+      area._world = null;
+      return true;
+    }
+    return false;
+  }
+
+  /** Push a constraint to this world */
+  addConstraint(constraint) {
+    if (!(constraint instanceof Constraint)) throw new TypeError(`addConstraint(): Expected a Constraint, got ${constraint}`);
+    constraint._world = this;
+    this.constraints.push(constraint);
+    return this;
+  }
+
+  /**
+   * Remove constraint from this world
+   * @return {boolean} Removed?
+   * */
+  removeConstraint(constraint) {
+    const i = this.constraints.indexOf(constraint);
+    if (i !== -1) {
+      this.constraints.splice(i, 1);
+      constraint._world = null;
+      return true;
+    }
+    return false;
+  }
+
+  /** Push a force field to this world */
+  addField(field) {
+    if (!(field instanceof ForceField)) throw new TypeError(`addField(): Expected a ForceField, got ${field}`);
+    field._world = this;
+    this.fields.push(field);
+    return this;
+  }
+
+  /**
+   * Remove force field from this world
+   * @return {boolean} Removed?
+   * */
+  removeField(field) {
+    const i = this.fields.indexOf(field);
+    if (i !== -1) {
+      this.fields.splice(i, 1);
+      field._world = null;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Push a soft body to this world, adding its particles as bodies.
+   * If its particles have no collision group, they are given a new negative group so that they do not collide with each other.
+   */
+  addSoftBody(softBody) {
+    if (!(softBody instanceof SoftBody)) throw new TypeError(`addSoftBody(): Expected a SoftBody, got ${softBody}`);
+    if (softBody.particles.every(particle => particle._group === 0)) {
+      softBody.collisionGroup(this.bodies.reduce((min, body) => Math.min(min, body._group), 0) - 1);
+    }
+    softBody.particles.forEach(particle => {
+      if (particle._world !== this) this.addBody(particle);
+    });
+    softBody._world = this;
+    this.softBodies.push(softBody);
+    return this;
+  }
+
+  /**
+   * Remove soft body and its particles from this world
+   * @return {boolean} Removed?
+   * */
+  removeSoftBody(softBody) {
+    const i = this.softBodies.indexOf(softBody);
+    if (i !== -1) {
+      this.softBodies.splice(i, 1);
+      softBody._world = null;
+      softBody.particles.forEach(particle => this.remove(particle));
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Set strategy used to find pairs of bodies which may be colliding
+   * @param mode BroadPhaseMode, or a BroadPhase instance
+   * @param args Passed to constructor of broad phase (e.g. cell size of BroadPhaseMode.SpatialHash)
+   */
+  setBroadPhase(mode, ...args) {
+    this.broadPhase = mode instanceof BroadPhase ? mode : createBroadPhase(mode, ...args);
+    return this;
+  }
+
+  /**
+   * Advance the world by dt milliseconds (e.g. P5's deltaTime) in fixed updates of this.timestep.
+   * Time left over is carried to the next call, and sets this.alpha for rendering.
+   * If dt is omitted, do exactly one fixed update.
+   */
+  update(dt = undefined) {
+    const recorder = this._recorder, start = now();
+    this._substepCount = 0;
+    if (recorder) recorder._beginFrame(dt);
+    this.profile.pairs = 0;
+    this.profile.collisions = 0;
+
+    if (dt === undefined) {
+      this.step();
+      this.alpha = 1;
+    } else {
+      this._accumulator += dt;
+      let steps = 0;
+      while (this._accumulator >= this.timestep && steps < this.maxSteps) {
+        this.step();
+        this._accumulator -= this.timestep;
+        steps++;
+      }
+      if (this._accumulator >= this.timestep) this._accumulator %= this.timestep; // Fallen behind - drop time
+      this.alpha = this._accumulator / this.timestep;
+    }
+
+    this.profile.updateTime = now() - start;
+    if (recorder) recorder._endFrame();
+    return this;
+  }
+
+  /** Do one fixed update of this.timestep */
+  step() {
+    this.emit('beforeStep', this);
+    this._stepStart = this._totals();
+    this._stepping = true;
+    this.bodies.forEach(body => body._savePrevious());
+    const dt = this.timestep / TICK / this.substeps;
+    for (let i = 0; i < this.substeps; i++) this._substep(dt);
+    if (this.enableSleeping) this._updateSleeping();
+    this._stepping = false;
+    this._stepCount++;
+    if (this.statsHistoryLength > 0) {
+      this.statsHistory.push(this.stats());
+      if (this.statsHistory.length > this.statsHistoryLength) this.statsHistory.splice(0, this.statsHistory.length - this.statsHistoryLength);
+    }
+    this.emit('afterStep', this);
+    return this;
+  }
+
+  /**
+   * Energy and momentum of all non-static bodies.
+   * Kinetic energy includes rotation. Potential energy is relative to the origin, in the direction of this.G (areas which override gravity are ignored).
+   */
+  _totals() {
+    let kinetic = 0, rotational = 0, potential = 0;
+    const momentum = new Vector(0, 0);
+    this.bodies.forEach(body => {
+      if (body.static) return;
+      const m = body.mass();
+      kinetic += 0.5 * m * body._vel.magSq();
+      rotational += 0.5 * body.inertia() * body._angVel * body._angVel;
+      if (this.G) potential -= m * this.G.dot(body.centre());
+      momentum.add(Vector.mult(body._vel, m));
+    });
+    return { kinetic: kinetic + rotational, rotational, potential, energy: kinetic + rotational + potential, momentum };
+  }
+
+  /**
+   * Get energy and momentum diagnostics, in units of mass, pixels and ticks.
+   * @return {{ step, kinetic, rotational, potential, energy, momentum: Vector, delta: { kinetic, potential, energy, momentum: Vector } }}
+   *   kinetic includes rotational energy, energy = kinetic + potential. delta is the change since the start of the last step.
+   */
+  stats() {
+    const totals = this._totals(), start = this._stepStart || totals;
+    return {
+      step: this._stepCount,
+      ...totals,
+      delta: {
+        kinetic: totals.kinetic - start.kinetic,
+        potential: totals.potential - start.potential,
+        energy: totals.energy - start.energy,
+        momentum: Vector.sub(totals.momentum, start.momentum),
+      },
+    };
+  }
+
+  /** Export this.statsHistory as CSV, one row per step */
+  statsCSV() {
+    const rows = [['step', 'kinetic', 'rotational', 'potential', 'energy', 'momentumX', 'momentumY', 'deltaKinetic', 'deltaPotential', 'deltaEnergy', 'deltaMomentumX', 'deltaMomentumY']];
+    this.statsHistory.forEach(s => rows.push([
+      s.step, s.kinetic, s.rotational, s.potential, s.energy, s.momentum.x, s.momentum.y,
+      s.delta.kinetic, s.delta.potential, s.delta.energy, s.delta.momentum.x, s.delta.momentum.y,
+    ]));
+    return rows.map(row => row.join(',')).join('\n');
+  }
+
+  /** Get electric field (force per unit charge) at point due to every charged body */
+  electricField(point) {
+    const E = new Vector(0, 0), s2 = this.chargeSoftening * this.chargeSoftening;
+    this.bodies.forEach(body => {
+      if (body._charge === 0) return;
+      const d = Vector.sub(point, body.centre()), r2 = d.magSq() + s2;
+      E.add(d.mult(this.k * body._charge / (r2 * Math.sqrt(r2))));
+    });
+    return E;
+  }
+
+  /**
+   * Apply Coulomb's law between every pair of charged bodies: F = k * q1 * q2 * r / (r^2 + softening^2)^(3/2).
+   * Sleeping bodies are included - they wake if a charge brought near moves them (see _wakeIfPushed).
+   */
+  _applyCoulomb() {
+    const charged = this.bodies.filter(body => body._charge !== 0);
+    if (charged.length < 2) return;
+    const centres = charged.map(body => body.centre()), forces = charged.map(() => new Vector(0, 0));
+    const s2 = this.chargeSoftening * this.chargeSoftening;
+    for (let i = 0; i < charged.length; i++) {
+      for (let j = i + 1; j < charged.length; j++) {
+        const d = Vector.sub(centres[j], centres[i]), r2 = d.magSq() + s2;
+        const F = d.mult(this.k * charged[i]._charge * charged[j]._charge / (r2 * Math.sqrt(r2))); // Force on j, away from i if alike
+        forces[j].add(F);
+        forces[i].sub(F);
+      }
+    }
+    charged.forEach((body, i) => body.applyForce(forces[i]));
+  }
+
+  /**
+   * Put bodies which have been at rest for this.sleepTime to sleep.
+   * Bodies which touch or are joined (an island) fall asleep together, once all of them are at rest -
+   * a stack would be shaken by its lower bodies falling asleep and being woken again on their own.
+   */
+  _updateSleeping() {
+    this.bodies.forEach(body => {
+      if (body.static || body._sleeping) return;
+      if (body.allowSleep && body._motion() < this.sleepThreshold) body._sleepTimer += this.timestep;
+      else body._sleepTimer = 0;
+    });
+
+    this._islands().forEach(island => {
+      if (island.every(body => body._sleeping || body._sleepTimer >= this.sleepTime)) island.forEach(body => {
+        if (!body._sleeping) body.sleep();
+      });
+    });
+  }
+
+  /** Group non-static bodies into islands - bodies which touch, or are joined by constraints or soft body springs */
+  _islands() {
+    const parent = new Map();
+    const find = body => {
+      while (parent.get(body) !== body) body = parent.get(body);
+      return body;
+    };
+    const join = (a, b) => {
+      if (parent.has(a) && parent.has(b)) parent.set(find(a), find(b));
+    };
+    this.bodies.forEach(body => {
+      if (!body.static) parent.set(body, body);
+    });
+    this._touching.forEach(pair => join(pair.a, pair.b));
+    this.constraints.forEach(c => join(c.a, c.b));
+    this.softBodies.forEach(s => s.springs.forEach(spring => join(spring.a, spring.b)));
+
+    const islands = new Map();
+    parent.forEach((_, body) => {
+      const root = find(body);
+      if (!islands.has(root)) islands.set(root, []);
+      islands.get(root).push(body);
+    });
+    return Array.from(islands.values());
+  }
+
+  /**
+   * Wake a sleeping body if the forces on it have changed since it fell asleep, by enough to reach this.sleepThreshold within this.sleepTime
+   * (e.g. gravity was changed, or a force field was added). Otherwise discard them - they are balanced by whatever it rests on.
+   * @return {boolean} Woken?
+   */
+  _wakeIfPushed(body) {
+    const change = Vector.sub(body._acc, body._restAcc).mag() + Math.abs(body._angAcc - body._restAngAcc) * Math.max(body._w, body._h) / 2;
+    if (change * this.sleepTime / TICK >= this.sleepThreshold) {
+      body.wake();
       return true;
     }
+    body._acc = new Vector(0, 0);
+    body._angAcc = 0;
     return false;
   }
 
-  /** Update everything in the world */
-  update() {
-    const edges = this.edgeMode !== EdgeMode.None;
+  /** If one body is asleep and the other is moving, wake the sleeping body */
+  _wakeNeighbour(a, b) {
+    if (a._sleeping && !b._sleeping && !b.static && b._motion() >= this.sleepThreshold) a.wake();
+    else if (b._sleeping && !a._sleeping && !a.static && a._motion() >= this.sleepThreshold) b.wake();
+  }
+
+  /** Emit collision or sensor event on this world and both bodies of the pair */
+  _emitPair(event, pair) {
+    this.emit(event, pair);
+    pair.a.emit(event, pair);
+    pair.b.emit(event, pair);
+  }
+
+  /** Called when a force is applied to a body. Forces applied by the world itself are not recorded. */
+  _recordForce(body, force, point = null) {
+    if (this._recorder && !this._applyingForces) this._recorder._force(body, force, point);
+  }
+
+  /** Called when a torque is applied to a body (see _recordForce) */
+  _recordTorque(body, torque) {
+    if (this._recorder && !this._applyingForces) this._recorder._torque(body, torque);
+  }
+
+  /**
+   * Update everything in the world
+   * @param dt Time step in ticks
+   */
+  _substep(dt) {
+    const edges = this.edgeMode !== EdgeMode.None, removed = [];
+    if (this._player) this._player._substep(this._substepCount);
+    this._substepCount++;
+
+    this.constraints.forEach(c => {
+      if (c.a instanceof Body && c.b instanceof Body) this._wakeNeighbour(c.a, c.b);
+    });
+    this.softBodies.forEach(s => s.springs.forEach(spring => this._wakeNeighbour(spring.a, spring.b)));
+    this._applyingForces = true;
+    this.constraints.forEach(c => c.applyForces());
+    this.softBodies.forEach(s => s.applyForces());
+    this.fields.forEach(f => f.apply(this.bodies, dt));
+    if (this.k !== 0) this._applyCoulomb();
+    this._applyingForces = false;
 
     this.bodies.forEach(body => {
+      this._applyingForces = true; // Only while applying them - listeners of the body's update may apply forces of their own
+      const areas = this.areas.filter(area => area.overlaps(body));
+
+      // Gravity: last area which overrides it wins
+      let G = this.G;
+      for (let area of areas) {
+        if (area._G) G = area._G;
+      }
+
       // Apply gravity
-      if (this.G) {
-        let G = p5.Vector.mult(this.G, body.mass()); // Gravoty is constant regardless of mass
-        body.applyForce(G);
+      if (G) {
+        body.applyForce(Vector.mult(G, body.mass())); // Gravity is constant regardless of mass
       }
 
-      body.update();
+      // Apply drag, buoyancy... of each area, then drag of the medium. All drag together may at most stop the body within the step.
+      let maxDrag = body.mass() * body.vel().mag() / dt;
+      areas.forEach(area => {
+        area.apply(body, G, dt, maxDrag);
+        maxDrag = Math.max(maxDrag - area.dragForce(body), 0);
+      });
+      body.applyDrag(this.mediumDensity, dt, maxDrag);
+      this._applyingForces = false;
+
+      // A sleeping body stays put, unless the forces on it have changed
+      if (body._sleeping && !this._wakeIfPushed(body)) return;
+
+      const from = body.ccd ? body.pos() : null;
+      body.update(dt);
+      if (from && this.doCollisions) this._sweep(body, from);
 
       // Check edges
-      if (edges) body.edges();
+      if (edges && !body.edges()) removed.push(body);
+    });
+    removed.forEach(body => this.remove(body));
+
+    let manifolds = []; // Collisions detected this update
+    const sensed = []; // Overlaps of sensors detected this update - these do not push bodies apart
+    if (this.doCollisions) {
+      const pairs = this.broadPhase.pairs(this.bodies);
+      this.profile.pairs += pairs.length;
+      pairs.forEach(([bodyA, bodyB]) => {
+        if (!bodyA.solid || !bodyB.solid || (bodyA.static && bodyB.static) || !Body.canCollide(bodyA, bodyB)) return;
+        if (immovable(bodyA) && immovable(bodyB) && !bodyA.sensor && !bodyB.sensor) return;
+        const m = DrawableBody.collision(bodyA, bodyB);
+        if (m) {
+          if (bodyA.sensor || bodyB.sensor) sensed.push(bodyA.sensor ? m : m.flip());
+          else manifolds.push(m);
+        }
+      });
+    }
+
+    manifolds.forEach(m => this._wakeNeighbour(m.a, m.b)); // Wake bodies which are hit
+    this.profile.collisions += manifolds.length;
+    this._manifolds = manifolds;
+
+    // Manifolds of the same pairs in the last update, for warm starting
+    const previous = manifolds.map(m => {
+      const pair = this._touching.get(pairKey(m.a, m.b));
+      return pair ? pair.manifold : null;
+    });
+
+    // Compare with pairs touching after the last update. Events are emitted once this update is done.
+    // Pairs of static or sleeping bodies are not tested, so are still touching.
+    const resting = pair => immovable(pair.a) && immovable(pair.b) && pair.a._world === this && pair.b._world === this;
+    const touching = new Map(), events = [];
+    manifolds.forEach(m => {
+      const key = pairKey(m.a, m.b), pair = { a: m.a, b: m.b, manifold: m, speed: m.approachSpeed() };
+      events.push([this._touching.has(key) ? 'collisionActive' : 'collisionStart', pair]);
+      touching.set(key, pair);
+    });
+    this._touching.forEach((pair, key) => {
+      if (touching.has(key)) return;
+      if (resting(pair)) touching.set(key, pair);
+      else events.push(['collisionEnd', { a: pair.a, b: pair.b, manifold: null, speed: 0 }]);
     });
+    this._touching = touching;
 
-    let calculatedCollisions = []; // Array of objects { a, b } wherein collision physics has been done.
-    const doneCollision = (a, b) => {
-      for (let c of calculatedCollisions) {
-        if ((c.a === a && c.b === b) || (c.a === b && c.b === a)) return true;
+    const sensing = new Map();
+    sensed.forEach(m => {
+      const key = pairKey(m.a, m.b), pair = { a: m.a, b: m.b, manifold: m };
+      if (!this._sensing.has(key)) events.push(['sensorEnter', pair]);
+      sensing.set(key, pair);
+    });
+    this._sensing.forEach((pair, key) => {
+      if (!sensing.has(key)) events.push(['sensorExit', { a: pair.a, b: pair.b, manifold: null }]);
+    });
+    this._sensing = sensing;
+
+    // Resolve velocities (normal impulse and friction), then push overlapping bodies apart
+    if (this.warmStarting) manifolds.forEach((m, i) => Body.warmStart(m, previous[i], this.restingThreshold));
+    for (let i = 0; i < this.iterations; i++) {
+      for (const m of manifolds) {
+        Body.collide(m, this.restingThreshold);
+        Body.friction(m);
       }
-      return false;
-    };
+    }
+    for (let i = 0; i < this.positionIterations; i++) {
+      for (let m of manifolds) {
+        if (i > 0) m = DrawableBody.collision(m.a, m.b); // Overlap will have changed
+        if (m) Body.separate(m, this.correctionPercent, this.correctionSlop);
+      }
+    }
+
+    // Solve constraints
+    for (let i = 0; i < this.constraintIterations; i++) {
+      this.constraints.forEach(c => c.solve());
+    }
+
+    events.forEach(([event, pair]) => this._emitPair(event, pair));
+  }
+
+  /** Continuous collision detection: move body back along its path to its earliest time of impact with another body */
+  _sweep(body, from) {
+    const to = body.pos();
+    if (!body.solid || body.sensor || (from.x === to.x && from.y === to.y)) return;
 
-    this.bodies.forEach(bodyA => {
-      // Collisions?
-      if (this.doCollisions && bodyA.solid) {
-        this.bodies.forEach(bodyB => {
-          if (bodyA !== bodyB && !doneCollision(bodyA, bodyB)) {
-            let collide = DrawableBody.collision(bodyA, bodyB);
-            if (collide && bodyA.vel().sub(bodyB.vel()).mag() > 0) { // Only execute if collision AND bodies are moving closer
-              Body.collide(bodyA, bodyB);
-              calculatedCollisions.push({ a: bodyA, b: bodyB });
-              // let FrA = bodyA.friction(bodyB);
-              // let FrB = bodyB.friction(bodyA);
-              // bodyA.applyForce(FrA);
-              // bodyB.applyForce(FrB);
-            }
-          }
-        });
+    // Bounding box covering entire path
+    const bb = body._bb, dx = from.x - to.x, dy = from.y - to.y;
+    const swept = { _bb: { pos: new Vector(bb.pos.x + Math.min(dx, 0), bb.pos.y + Math.min(dy, 0)), w: bb.w + Math.abs(dx), h: bb.h + Math.abs(dy) } };
+
+    let first = 1;
+    this.bodies.forEach(other => {
+      if (other !== body && other.solid && !other.sensor && Body.canCollide(body, other) && boundingBoxesOverlap(swept, other)) {
+        const t = timeOfImpact(body, from, to, other);
+        if (t !== null && t < first) first = t;
       }
     });
+    if (first < 1) body.pos(Vector.lerp(from, to, first));
   }
 
-  /** Show everything in this beautiful world :) */
-  show() {
-    background(255); // "Clear" canvas
-    if (this.background || this.borders) {
-      if (this.background) fill(this.background); else noFill();
-      if (this.borders) stroke(this.borders); else noStroke();
-      strokeWeight(1);
-      rect(this.x, this.y, this.w, this.h);
-    }
+  /**
+   * Find the first body hit by the segment from -> to. Bodies containing from are ignored.
+   * @param from Vector - start of ray
+   * @param to Vector - end of ray
+   * @param filter Function (body) => boolean - only test bodies for which this returns true. NULL = test every body.
+   * @return {{ body, point: Vector, normal: Vector, fraction: number } | null} Closest hit, or NULL.
+   *   normal faces the ray, and fraction is how far along the ray the hit is, in [0, 1].
+   */
+  raycast(from, to, filter = null) {
+    let closest = null;
+    this.bodies.forEach(body => {
+      if ((filter && !filter(body)) || !segmentHitsBox(from, to, body._bb)) return;
+      const shapes = body._shapes();
+      if (shapes.some(shape => shapeContainsPoint(shape, from))) return; // Ray starts inside body
+      shapes.forEach(shape => {
+        const hit = raycastShape(shape, from, to);
+        if (hit && (closest === null || hit.fraction < closest.fraction)) closest = { body, ...hit };
+      });
+    });
+    return closest;
+  }
 
-    this.bodies.forEach(b => b.show());
-    return this;
+  /** Get array of bodies containing the point (x, y) */
+  queryPoint(x, y, filter = null) {
+    const point = new Vector(x, y);
+    return this.bodies.filter(body => {
+      if (filter && !filter(body)) return false;
+      const bb = body._bb;
+      return collidePointRect(x, y, bb.pos.x, bb.pos.y, bb.w, bb.h) && body._shapes().some(shape => shapeContainsPoint(shape, point));
+    });
+  }
+
+  /** Get array of bodies overlapping the rectangle with top-left (x, y) */
+  queryRect(x, y, w, h, filter = null) {
+    return this.queryPolygon([new Vector(x, y), new Vector(x + w, y), new Vector(x + w, y + h), new Vector(x, y + h)], filter);
+  }
+
+  /**
+   * Get array of bodies overlapping the polygon
+   * @param vertices Array of Vectors (or [x, y] arrays)
+   */
+  queryPolygon(vertices, filter = null) {
+    vertices = vertices.map(v => Array.isArray(v) ? new Vector(...v) : Vector.from(v));
+    const bb = { _bb: World._boundingBox(vertices) };
+    return this.bodies.filter(body => {
+      if (filter && !filter(body)) return false;
+      return boundingBoxesOverlap(bb, body) && body._shapes().some(shape => shapeOverlapsPolygon(shape, vertices));
+    });
+  }
+
+  /** Bounding box { pos, w, h } of an array of Vectors */
+  static _boundingBox(vertices) {
+    const xs = vertices.map(v => v.x), ys = vertices.map(v => v.y);
+    const x = Math.min(...xs), y = Math.min(...ys);
+    return { pos: new Vector(x, y), w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+  }
+
+  /**
+   * Serialize the world - settings, bodies, areas and constraints - to a plain object.
+   * Pass to JSON.stringify() to save, and restore with World.fromJSON().
+   */
+  toJSON() {
+    const data = {
+      version: SCHEMA_VERSION,
+      x: this.x,
+      y: this.y,
+      w: this.w,
+      h: this.h,
+      background: colourToJSON(this.background),
+      borders: colourToJSON(this.borders),
+      G: this.G ? this.G.toJSON() : null,
+      broadPhase: this.broadPhase.toJSON(),
+      nextId: this._nextId,
+      seed: this._seed,
+      rngState: this._rngState,
+      accumulator: this._accumulator,
+    };
+    SETTINGS.forEach(key => data[key] = this[key]);
+    data.bodies = this.bodies.map(body => body.toJSON());
+    data.areas = this.areas.map(area => area.toJSON());
+    data.constraints = this.constraints.map(constraint => constraint.toJSON());
+    data.fields = this.fields.map(field => field.toJSON());
+    data.softBodies = this.softBodies.map(softBody => softBody.toJSON());
+    data.touching = Array.from(this._touching.values())
+      .filter(pair => pair.a._world === this && pair.b._world === this)
+      .map(pair => ({ manifold: pair.manifold.toJSON(), speed: pair.speed }));
+    return data;
+  }
+
+  /** Create a body of the right class (see BODY_TYPES) from the output of its toJSON() */
+  static bodyFromJSON(data) {
+    const type = BODY_TYPES[data.type];
+    if (!type) throw new Error(`fromJSON(): Unknown body type ${data.type}`);
+    return type.fromJSON(data);
+  }
+
+  /**
+   * Create a world from the output of toJSON()
+   * @param data Object, or a JSON string
+   */
+  static fromJSON(data) {
+    if (typeof data === 'string') data = JSON.parse(data);
+    if (typeof data.version !== 'number') throw new Error(`fromJSON(): Missing schema version`);
+    if (data.version > SCHEMA_VERSION) throw new Error(`fromJSON(): Schema version ${data.version} is newer than supported version ${SCHEMA_VERSION}`);
+
+    const world = new World(data.x, data.y, data.w, data.h);
+    world.background = data.background;
+    world.borders = data.borders;
+    world.G = data.G ? Vector.from(data.G) : null;
+    world.setBroadPhase(data.broadPhase.mode, ...(data.broadPhase.cellSize === undefined ? [] : [data.broadPhase.cellSize]));
+    SETTINGS.forEach(key => {
+      if (data[key] !== undefined) world[key] = data[key];
+    });
+    if (data.seed !== undefined) world.seed(data.seed);
+    if (data.rngState !== undefined) world._rngState = data.rngState;
+    if (data.accumulator !== undefined) world._accumulator = data.accumulator;
+    if (data.nextId !== undefined) world._nextId = data.nextId;
+
+    const bodies = new Map();
+    data.bodies.forEach(bodyData => {
+      const body = World.bodyFromJSON(bodyData);
+      bodies.set(body.ID, body);
+      world.addBody(body);
+    });
+    data.areas.forEach(areaData => world.addArea(Area.fromJSON(areaData)));
+    data.constraints.forEach(constraintData => world.addConstraint(Constraint.fromJSON(constraintData, bodies)));
+    if (data.fields) data.fields.forEach(fieldData => world.addField(ForceField.fromJSON(fieldData, bodies)));
+    if (data.softBodies) data.softBodies.forEach(softBodyData => world.addSoftBody(SoftBody.fromJSON(softBodyData, bodies)));
+    if (data.touching) data.touching.forEach(({ manifold, speed }) => {
+      const m = Manifold.fromJSON(manifold, bodies);
+      world._touching.set(pairKey(m.a, m.b), { a: m.a, b: m.b, manifold: m, speed });
+    });
+    return world;
   }
 }
 
@@ -0,0 +1,152 @@
+/*
+Collision tests used by the physics core, so that it does not need the global P5 namespace.
+Ported from p5.collide2D v0.7.3 (src/lib/p5.collide2d.js) by http://benmoren.com - CC BY-NC-SA 4.0
+Debug drawing has been removed. Vertices may be any objects with x and y properties.
+*/
+
+const dist = (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1);
+
+export function collideRectRect(x, y, w, h, x2, y2, w2, h2) {
+  return x + w >= x2 && // r1 right edge past r2 left
+    x <= x2 + w2 && // r1 left edge past r2 right
+    y + h >= y2 && // r1 top edge past r2 bottom
+    y <= y2 + h2; // r1 bottom edge past r2 top
+}
+
+export function collideRectCircle(rx, ry, rw, rh, cx, cy, diameter) {
+  // which edge is closest?
+  let testX = cx, testY = cy;
+  if (cx < rx) testX = rx; // left edge
+  else if (cx > rx + rw) testX = rx + rw; // right edge
+  if (cy < ry) testY = ry; // top edge
+  else if (cy > ry + rh) testY = ry + rh; // bottom edge
+
+  // if the distance from the closest edges is less than the radius, collision!
+  return dist(cx, cy, testX, testY) <= diameter / 2;
+}
+
+export function collideCircleCircle(x, y, d, x2, y2, d2) {
+  return dist(x, y, x2, y2) <= d / 2 + d2 / 2;
+}
+
+export function collidePointCircle(x, y, cx, cy, d) {
+  return dist(x, y, cx, cy) <= d / 2;
+}
+
+export function collidePointEllipse(x, y, cx, cy, dx, dy) {
+  const rx = dx / 2, ry = dy / 2;
+  // Discarding the points outside the bounding box
+  if (x > cx + rx || x < cx - rx || y > cy + ry || y < cy - ry) return false;
+  // Compare the point to its equivalent on the ellipse
+  const xx = x - cx, yy = y - cy;
+  const eyy = ry * Math.sqrt(Math.abs(rx * rx - xx * xx)) / rx;
+  return yy <= eyy && yy >= -eyy;
+}
+
+export function collidePointRect(pointX, pointY, x, y, xW, yW) {
+  return pointX >= x && // right of the left edge AND
+    pointX <= x + xW && // left of the right edge AND
+    pointY >= y && // below the top AND
+    pointY <= y + yW; // above the bottom
+}
+
+export function collidePointLine(px, py, x1, y1, x2, y2, buffer = 0.1) {
+  // if the distances from the point to the two ends of the line equal the line's length, the point is on the line!
+  const d1 = dist(px, py, x1, y1), d2 = dist(px, py, x2, y2), lineLen = dist(x1, y1, x2, y2);
+  return d1 + d2 >= lineLen - buffer && d1 + d2 <= lineLen + buffer;
+}
+
+export function collideLineCircle(x1, y1, x2, y2, cx, cy, diameter) {
+  // is either end INSIDE the circle?
+  if (collidePointCircle(x1, y1, cx, cy, diameter) || collidePointCircle(x2, y2, cx, cy, diameter)) return true;
+
+  // find the closest point on the line
+  const len = dist(x1, y1, x2, y2);
+  const dot = (((cx - x1) * (x2 - x1)) + ((cy - y1) * (y2 - y1))) / (len * len);
+  const closestX = x1 + (dot * (x2 - x1)), closestY = y1 + (dot * (y2 - y1));
+
+  // is this point actually on the line segment?
+  if (!collidePointLine(closestX, closestY, x1, y1, x2, y2)) return false;
+
+  return dist(closestX, closestY, cx, cy) <= diameter / 2;
+}
+
+/** If calcIntersection, returns intersection { x, y } (x and y are false if no intersection) */
+export function collideLineLine(x1, y1, x2, y2, x3, y3, x4, y4, calcIntersection = false) {
+  // calculate the distance to intersection point
+  const uA = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
+  const uB = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / ((y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1));
+
+  // if uA and uB are between 0-1, lines are colliding
+  if (uA >= 0 && uA <= 1 && uB >= 0 && uB <= 1) {
+    return calcIntersection ? { x: x1 + (uA * (x2 - x1)), y: y1 + (uA * (y2 - y1)) } : true;
+  }
+  return calcIntersection ? { x: false, y: false } : false;
+}
+
+/** If calcIntersection, returns intersections with each side { left, right, top, bottom } */
+export function collideLineRect(x1, y1, x2, y2, rx, ry, rw, rh, calcIntersection = false) {
+  // check if the line has hit any of the rectangle's sides
+  const left = collideLineLine(x1, y1, x2, y2, rx, ry, rx, ry + rh, calcIntersection);
+  const right = collideLineLine(x1, y1, x2, y2, rx + rw, ry, rx + rw, ry + rh, calcIntersection);
+  const top = collideLineLine(x1, y1, x2, y2, rx, ry, rx + rw, ry, calcIntersection);
+  const bottom = collideLineLine(x1, y1, x2, y2, rx, ry + rh, rx + rw, ry + rh, calcIntersection);
+
+  // if ANY of the above are true, the line has hit the rectangle
+  if (calcIntersection) {
+    const hit = [left, right, top, bottom].some(i => i.x !== false);
+    return hit ? { left, right, top, bottom } : false;
+  }
+  return left || right || top || bottom;
+}
+
+export function collidePointPoly(px, py, vertices) {
+  let collision = false;
+  for (let current = 0; current < vertices.length; current++) {
+    const vc = vertices[current], vn = vertices[(current + 1) % vertices.length];
+    // compare position, flip 'collision' variable back and forth
+    if (((vc.y >= py && vn.y < py) || (vc.y < py && vn.y >= py)) &&
+      (px < (vn.x - vc.x) * (py - vc.y) / (vn.y - vc.y) + vc.x)) {
+      collision = !collision;
+    }
+  }
+  return collision;
+}
+
+export function collideCirclePoly(cx, cy, diameter, vertices, interior = false) {
+  // check for collision between the circle and each side of the polygon
+  for (let current = 0; current < vertices.length; current++) {
+    const vc = vertices[current], vn = vertices[(current + 1) % vertices.length];
+    if (collideLineCircle(vc.x, vc.y, vn.x, vn.y, cx, cy, diameter)) return true;
+  }
+  // test if the center of the circle is inside the polygon
+  return interior && collidePointPoly(cx, cy, vertices);
+}
+
+export function collideRectPoly(rx, ry, rw, rh, vertices, interior = false) {
+  // check each side of the polygon against all four sides of the rectangle
+  for (let current = 0; current < vertices.length; current++) {
+    const vc = vertices[current], vn = vertices[(current + 1) % vertices.length];
+    if (collideLineRect(vc.x, vc.y, vn.x, vn.y, rx, ry, rw, rh)) return true;
+  }
+  // test if the rectangle is INSIDE the polygon
+  return interior && collidePointPoly(rx, ry, vertices);
+}
+
+export function collideLinePoly(x1, y1, x2, y2, vertices) {
+  for (let current = 0; current < vertices.length; current++) {
+    const vc = vertices[current], vn = vertices[(current + 1) % vertices.length];
+    if (collideLineLine(x1, y1, x2, y2, vc.x, vc.y, vn.x, vn.y)) return true;
+  }
+  return false;
+}
+
+export function collidePolyPoly(p1, p2, interior = false) {
+  // compare each side of p1 to p2
+  for (let current = 0; current < p1.length; current++) {
+    const vc = p1[current], vn = p1[(current + 1) % p1.length];
+    if (collideLinePoly(vc.x, vc.y, vn.x, vn.y, p2)) return true;
+  }
+  // check if the either polygon is INSIDE the other
+  return interior && (collidePointPoly(p2[0].x, p2[0].y, p1) || collidePointPoly(p1[0].x, p1[0].y, p2));
+}
@@ -0,0 +1,304 @@
+import { Vector } from "./Vector.js";
+
+/**
+ * Narrow phase collision detection.
+ *
+ * Every DrawableBody is reduced to shapes - circles { type: 'circle', centre, radius } and
+ * convex polygons { type: 'poly', vertices } (see DrawableBody._shapes) - and each pair of bodies produces a Manifold.
+ */
+
+/** Contact information between two colliding bodies */
+export class Manifold {
+  /**
+   * @param a First body
+   * @param b Second body
+   * @param normal Unit Vector - direction from a to b
+   * @param depth Penetration depth along normal
+   * @param contacts Array of Vectors - contact points in world space (one or two, or more for several shapes)
+   * @param depths Array of numbers - penetration depth at each contact point (default: depth at every point)
+   */
+  constructor(a, b, normal, depth, contacts, depths = contacts.map(() => depth)) {
+    this.a = a;
+    this.b = b;
+    this.normal = normal;
+    this.depth = depth;
+    this.contacts = contacts;
+    this.depths = depths;
+  }
+
+  /** Swap a and b, flipping the normal */
+  flip() {
+    [this.a, this.b] = [this.b, this.a];
+    this.normal.mult(-1);
+    return this;
+  }
+
+  /** Speed at which the bodies are approaching each other along the normal, at the fastest contact point. 0 if separating. */
+  approachSpeed() {
+    let speed = 0;
+    this.contacts.forEach(c => {
+      const vn = this.b.velocityAt(c).sub(this.a.velocityAt(c)).dot(this.normal);
+      if (-vn > speed) speed = -vn;
+    });
+    return speed;
+  }
+
+  /** Serialize to a plain object (see World.toJSON). Bodies are referenced by ID. Impulses accumulated by the solver are kept for warm starting. */
+  toJSON() {
+    return {
+      a: this.a.ID,
+      b: this.b.ID,
+      normal: this.normal.toJSON(),
+      depth: this.depth,
+      contacts: this.contacts.map(c => c.toJSON()),
+      depths: this.depths,
+      jn: this.jn,
+      jt: this.jt,
+    };
+  }
+
+  /**
+   * Create a manifold from the output of toJSON()
+   * @param data Serialized manifold
+   * @param bodies Map of body ID -> Body
+   */
+  static fromJSON(data, bodies) {
+    const a = bodies.get(data.a), b = bodies.get(data.b);
+    if (!a || !b) throw new Error(`fromJSON(): Manifold refers to unknown body ${a ? data.b : data.a}`);
+    const m = new Manifold(a, b, Vector.from(data.normal), data.depth, data.contacts.map(c => Vector.from(c)), data.depths);
+    if (data.jn) m.jn = data.jn.slice();
+    if (data.jt) m.jt = data.jt.slice();
+    return m;
+  }
+}
+
+/** Centroid of a list of vertices (mean of vertices - adequate for convex polygons) */
+function centroid(vertices) {
+  const c = new Vector(0, 0);
+  vertices.forEach(v => c.add(v));
+  return c.div(vertices.length);
+}
+
+/** Return outward unit normals of each edge [i, i + 1] of a convex polygon */
+function edgeNormals(vertices) {
+  const c = centroid(vertices), n = vertices.length;
+  return vertices.map((v, i) => {
+    const edge = Vector.sub(vertices[(i + 1) % n], v);
+    const normal = new Vector(edge.y, -edge.x).normalize();
+    if (normal.dot(Vector.sub(v, c)) < 0) normal.mult(-1);
+    return normal;
+  });
+}
+
+/** Closest point to p on segment ab */
+function closestPointOnSegment(p, a, b) {
+  const ab = Vector.sub(b, a), lenSq = ab.magSq();
+  if (lenSq === 0) return a.copy();
+  const t = Math.min(1, Math.max(0, Vector.sub(p, a).dot(ab) / lenSq));
+  return Vector.add(a, ab.mult(t));
+}
+
+/** Circle <-> Circle. Normal points from circle A to circle B. */
+function circleCircle(A, B) {
+  const d = Vector.sub(B.centre, A.centre), dist = d.mag(), r = A.radius + B.radius;
+  if (dist > r) return null;
+  const normal = dist === 0 ? new Vector(0, 1) : d.div(dist);
+  const depth = r - dist;
+  const contact = Vector.add(A.centre, Vector.mult(normal, A.radius - depth / 2));
+  return { normal, depth, contacts: [contact], depths: [depth] };
+}
+
+/** Polygon <-> Circle. Normal points from polygon P to circle C. */
+function polyCircle(P, C) {
+  const vs = P.vertices, n = vs.length, normals = edgeNormals(vs);
+
+  // Face of greatest separation
+  let maxSep = -Infinity, face = 0;
+  for (let i = 0; i < n; i++) {
+    const sep = normals[i].dot(Vector.sub(C.centre, vs[i]));
+    if (sep > C.radius) return null;
+    if (sep > maxSep) {
+      maxSep = sep;
+      face = i;
+    }
+  }
+
+  // Centre is inside polygon
+  if (maxSep <= 0) {
+    const normal = normals[face].copy();
+    const contact = Vector.sub(C.centre, Vector.mult(normal, maxSep));
+    return { normal, depth: C.radius - maxSep, contacts: [contact], depths: [C.radius - maxSep] };
+  }
+
+  // Centre is outside polygon - nearest point on boundary
+  let closest = null, minDistSq = Infinity;
+  for (let i = 0; i < n; i++) {
+    const q = closestPointOnSegment(C.centre, vs[i], vs[(i + 1) % n]);
+    const distSq = Vector.sub(C.centre, q).magSq();
+    if (distSq < minDistSq) {
+      minDistSq = distSq;
+      closest = q;
+    }
+  }
+  const dist = Math.sqrt(minDistSq);
+  if (dist > C.radius) return null;
+  const normal = dist === 0 ? normals[face].copy() : Vector.sub(C.centre, closest).div(dist);
+  return { normal, depth: C.radius - dist, contacts: [closest], depths: [C.radius - dist] };
+}
+
+/** Find face of A with greatest separation from B. Returns [separation, face index] */
+function axisOfLeastPenetration(A, normalsA, B) {
+  let best = -Infinity, face = 0;
+  for (let i = 0; i < A.length; i++) {
+    const n = normalsA[i];
+    let min = Infinity;
+    for (let v of B) {
+      const d = n.dot(Vector.sub(v, A[i]));
+      if (d < min) min = d;
+    }
+    if (min > best) {
+      best = min;
+      face = i;
+    }
+  }
+  return [best, face];
+}
+
+/** Clip segment [v1, v2] to the side of the plane n.x <= offset */
+function clip(v1, v2, n, offset) {
+  const d1 = n.dot(v1) - offset, d2 = n.dot(v2) - offset, out = [];
+  if (d1 <= 0) out.push(v1);
+  if (d2 <= 0) out.push(v2);
+  if (d1 * d2 < 0) out.push(Vector.lerp(v1, v2, d1 / (d1 - d2)));
+  return out;
+}
+
+/** Polygon <-> Polygon via separating axis theorem and face clipping. Normal points from A to B. */
+function polyPoly(A, B) {
+  const normalsA = edgeNormals(A.vertices), normalsB = edgeNormals(B.vertices);
+  const [sepA, faceA] = axisOfLeastPenetration(A.vertices, normalsA, B.vertices);
+  if (sepA > 0) return null;
+  const [sepB, faceB] = axisOfLeastPenetration(B.vertices, normalsB, A.vertices);
+  if (sepB > 0) return null;
+
+  // Reference face is the face of least penetration (bias towards A for coherence)
+  const flip = sepB > sepA + 0.001;
+  const ref = flip ? B.vertices : A.vertices, inc = flip ? A.vertices : B.vertices;
+  const refNormals = flip ? normalsB : normalsA, incNormals = flip ? normalsA : normalsB;
+  const face = flip ? faceB : faceA, n = refNormals[face];
+
+  // Incident face - most anti-parallel to reference normal
+  let incFace = 0, minDot = Infinity;
+  for (let i = 0; i < inc.length; i++) {
+    const d = incNormals[i].dot(n);
+    if (d < minDot) {
+      minDot = d;
+      incFace = i;
+    }
+  }
+  let points = [inc[incFace], inc[(incFace + 1) % inc.length]];
+
+  // Clip incident face against the side planes of the reference face
+  const r1 = ref[face], r2 = ref[(face + 1) % ref.length];
+  const tangent = Vector.sub(r2, r1).normalize();
+  points = clip(points[0], points[1], Vector.mult(tangent, -1), -tangent.dot(r1));
+  if (points.length < 2) return null;
+  points = clip(points[0], points[1], tangent, tangent.dot(r2));
+  if (points.length < 2) return null;
+
+  // Keep points below the reference face
+  const refOffset = n.dot(r1), contacts = [], depths = [];
+  for (let p of points) {
+    const sep = n.dot(p) - refOffset;
+    if (sep <= 0) {
+      contacts.push(p.copy());
+      depths.push(-sep);
+    }
+  }
+  if (contacts.length === 0) return null;
+
+  return { normal: flip ? Vector.mult(n, -1) : n.copy(), depth: Math.max(...depths), contacts, depths };
+}
+
+/** Compute contact information between two shapes. Normal points from A to B. */
+export function collideShapes(A, B) {
+  if (A.type === 'circle' && B.type === 'circle') return circleCircle(A, B);
+  if (A.type === 'poly' && B.type === 'circle') return polyCircle(A, B);
+  if (A.type === 'circle' && B.type === 'poly') {
+    const result = polyCircle(B, A);
+    if (result) result.normal.mult(-1);
+    return result;
+  }
+  if (A.type === 'poly' && B.type === 'poly') return polyPoly(A, B);
+  throw new Error(`collideShapes(): Unknown shape pair ${A.type}, ${B.type}`);
+}
+
+/**
+ * Compute manifold between two DrawableBody objects.
+ * If either has several shapes (see CompoundBody), the deepest collision gives the normal, and contacts of collisions
+ * with (almost) the same normal are merged, so that e.g. a cart rests on both wheels.
+ * @return {Manifold | null} Manifold, or NULL if not colliding
+ */
+export function getManifold(a, b) {
+  const results = [];
+  for (const A of a._shapes()) {
+    for (const B of b._shapes()) {
+      const result = collideShapes(A, B);
+      if (result) results.push(result);
+    }
+  }
+  if (results.length === 0) return null;
+  const deepest = results.reduce((d, result) => result.depth > d.depth ? result : d);
+  const merged = results.length === 1 ? [deepest] : results.filter(result => result.normal.dot(deepest.normal) > 0.99);
+  const contacts = merged.flatMap(result => result.contacts), depths = merged.flatMap(result => result.depths);
+  return new Manifold(a, b, deepest.normal, deepest.depth, contacts, depths);
+}
+
+/** Do any shapes of two DrawableBody objects overlap? */
+function shapesOverlap(shapesA, shapesB) {
+  return shapesA.some(A => shapesB.some(B => collideShapes(A, B) !== null));
+}
+
+/** Copy of a shape (see DrawableBody._shapes), moved by offset */
+function translateShape(shape, offset) {
+  if (shape.type === 'circle') return { type: 'circle', centre: Vector.add(shape.centre, offset), radius: shape.radius };
+  return { type: 'poly', vertices: shape.vertices.map(v => Vector.add(v, offset)) };
+}
+
+/**
+ * Time of impact of body a, moving in a straight line from one position to another, with body b.
+ * Samples a's path in steps of no more than half the size of either body (so thin bodies are not skipped), then bisects.
+ * a is not moved - copies of its shapes are moved along the path.
+ * @param a Moving DrawableBody (at any position)
+ * @param from Vector - start position of a
+ * @param to Vector - end position of a
+ * @param b DrawableBody
+ * @return {number | null} Fraction of path [0, 1] at which a first overlaps b, or NULL if a does not hit b (or already overlaps b at the start)
+ */
+export function timeOfImpact(a, from, to, b) {
+  const step = Math.max(1, Math.min(a._bb.w, a._bb.h, b._bb.w, b._bb.h) / 2);
+  const samples = Math.min(Math.ceil(Vector.dist(from, to) / step), 100);
+  const shapesA = a._shapes(), shapesB = b._shapes(), pos = a.pos();
+  const overlaps = t => {
+    const offset = Vector.lerp(from, to, t).sub(pos);
+    return shapesOverlap(shapesA.map(shape => translateShape(shape, offset)), shapesB);
+  };
+
+  if (overlaps(0)) return null;
+  let lo = 0, hi = null;
+  for (let i = 1; i <= samples; i++) {
+    const t = i / samples;
+    if (overlaps(t)) {
+      hi = t;
+      break;
+    }
+    lo = t;
+  }
+  if (hi === null) return null;
+
+  for (let i = 0; i < 8; i++) {
+    const mid = (lo + hi) / 2;
+    if (overlaps(mid)) hi = mid; else lo = mid;
+  }
+  return hi;
+}
@@ -4,6 +4,7 @@ export const EdgeMode = Object.freeze({
   Hold: 1, // Hold body at edge
   Wrap: 2, // Wrap body to other edge
   Bounce: 3, // Bounds body off of edge
+  Remove: 4, // Remove body from world once it has left through edge
 });
 
 // DrawableBody modes
@@ -12,4 +13,19 @@ export const DrawableBodyMode = Object.freeze({
   Ellipse: 2,
   Rectangle: 3,
   Path: 4, // Draw using points in this.path attribute
-});
\ No newline at end of file
+  Compound: 5, // Several child shapes (see CompoundBody)
+});
+
+// Strategy used to find pairs of bodies which may be colliding
+export const BroadPhaseMode = Object.freeze({
+  BruteForce: 1, // Test every pair
+  SpatialHash: 2, // Test bodies which share a cell of a uniform grid
+  SweepAndPrune: 3, // Test bodies which overlap along the x axis
+});
+
+// How the strength of a force field changes with distance from its centre
+export const FalloffMode = Object.freeze({
+  None: 0, // Constant strength within radius
+  Linear: 1, // Strength falls linearly to 0 at radius
+  InverseSquare: 2, // Strength is divided by (distance^2 + softening^2)
+});
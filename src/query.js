@@ -0,0 +1,71 @@
+import { Vector } from "./Vector.js";
+import {
+  collideCirclePoly, collideLineCircle, collideLineLine, collideLinePoly, collideLineRect,
+  collidePointCircle, collidePointPoly, collidePointRect, collidePolyPoly,
+} from "./collide.js";
+
+/**
+ * Geometric queries against the shapes of bodies (see DrawableBody._shapes), used by World.raycast and World.query*.
+ * Points and vertices are objects with x and y properties.
+ */
+
+/** Does the shape contain the point? */
+export function shapeContainsPoint(shape, point) {
+  if (shape.type === 'circle') return collidePointCircle(point.x, point.y, shape.centre.x, shape.centre.y, shape.radius * 2);
+  return collidePointPoly(point.x, point.y, shape.vertices);
+}
+
+/** Does the shape overlap the polygon? Either may contain the other. */
+export function shapeOverlapsPolygon(shape, vertices) {
+  if (shape.type === 'circle') {
+    const { centre, radius } = shape;
+    return collideCirclePoly(centre.x, centre.y, radius * 2, vertices, true) ||
+      collidePointCircle(vertices[0].x, vertices[0].y, centre.x, centre.y, radius * 2); // Polygon inside circle
+  }
+  return collidePolyPoly(shape.vertices, vertices, true);
+}
+
+/** Does the segment from -> to cross the bounding box { pos, w, h }? */
+export function segmentHitsBox(from, to, bb) {
+  return collidePointRect(from.x, from.y, bb.pos.x, bb.pos.y, bb.w, bb.h) ||
+    collideLineRect(from.x, from.y, to.x, to.y, bb.pos.x, bb.pos.y, bb.w, bb.h);
+}
+
+/**
+ * Cast the segment from -> to against the shape. Rays starting inside the shape do not hit it.
+ * @return {{ point: Vector, normal: Vector, fraction: number } | null} Closest hit - normal faces the ray, fraction is in [0, 1]
+ */
+export function raycastShape(shape, from, to) {
+  if (shapeContainsPoint(shape, from)) return null;
+  const d = Vector.sub(to, from), lenSq = d.magSq();
+  if (lenSq === 0) return null;
+
+  if (shape.type === 'circle') {
+    const { centre, radius } = shape;
+    if (!collideLineCircle(from.x, from.y, to.x, to.y, centre.x, centre.y, radius * 2)) return null;
+    // Solve |from + t * d - centre| = radius for the smaller t
+    const f = Vector.sub(from, centre), b = f.dot(d), c = f.magSq() - radius * radius;
+    const disc = b * b - lenSq * c;
+    if (disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / lenSq;
+    if (t < 0 || t > 1) return null;
+    const point = Vector.add(from, Vector.mult(d, t));
+    return { point, normal: Vector.sub(point, centre).normalize(), fraction: t };
+  }
+
+  const vertices = shape.vertices;
+  if (!collideLinePoly(from.x, from.y, to.x, to.y, vertices)) return null;
+  let hit = null;
+  for (let i = 0; i < vertices.length; i++) {
+    const v1 = vertices[i], v2 = vertices[(i + 1) % vertices.length];
+    const p = collideLineLine(from.x, from.y, to.x, to.y, v1.x, v1.y, v2.x, v2.y, true);
+    if (p.x === false) continue;
+    const point = new Vector(p.x, p.y), fraction = Math.sqrt(Vector.sub(point, from).magSq() / lenSq);
+    if (hit === null || fraction < hit.fraction) {
+      const normal = new Vector(v2.y - v1.y, v1.x - v2.x).normalize();
+      if (normal.dot(d) > 0) normal.mult(-1); // Face the ray, whatever the winding of the polygon
+      hit = { point, normal, fraction };
+    }
+  }
+  return hit;
+}
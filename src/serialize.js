@@ -0,0 +1,10 @@
+/** Version of the schema produced by World.toJSON(). Increment when the format changes. */
+export const SCHEMA_VERSION = 1;
+
+/** Convert a colour (array of arguments to P5's color(), P5 colour object or null) to JSON */
+export function colourToJSON(colour) {
+  if (colour === null || colour === undefined) return null;
+  if (Array.isArray(colour)) return colour.slice();
+  if (Array.isArray(colour.levels)) return colour.levels.slice(); // P5 colour object - RGBA levels
+  throw new TypeError(`colourToJSON(): Cannot serialize colour ${colour}`);
+}
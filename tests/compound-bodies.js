@@ -0,0 +1,84 @@
+import { DrawableBody } from '../src/Body.js';
+import { CompoundBody } from '../src/CompoundBody.js';
+import { EdgeMode } from '../src/enums.js';
+import World from '../src/World.js';
+import Renderer from '../src/Renderer.js';
+
+var world, renderer;
+
+// This will be exposed to the global scope
+globalThis.globals = {
+  paused: false,
+};
+
+// Cart - a box on two wheels
+function createCart(x, y) {
+  return new CompoundBody(x, y)
+    .addRectangle(0, 0, 80, 20)
+    .addEllipse(-28, 12, 20)
+    .addEllipse(28, 12, 20)
+    .addPolygon([-10, -10], [10, -10], [0, -30])
+    .mass(4);
+}
+
+// Dumbbell - two balls on a bar
+function createDumbbell(x, y) {
+  return new CompoundBody(x, y)
+    .addEllipse(-30, 0, 24)
+    .addRectangle(0, 0, 50, 6)
+    .addEllipse(30, 0, 24)
+    .mass(2);
+}
+
+// L-shape - two rectangles
+function createL(x, y) {
+  return new CompoundBody(x, y)
+    .addRectangle(0, 0, 20, 60)
+    .addRectangle(20, 20, 20, 20)
+    .mass(2);
+}
+
+const shapes = [createCart, createDumbbell, createL];
+
+function createBody(x, y) {
+  return shapes[Math.floor(world.random(shapes.length))](x, y)
+    .angle(world.random(2 * Math.PI))
+    .coefficientOfRestitution(0.2)
+    .coefficientOfFriction(0.4)
+    .fill(world.random(50, 200), world.random(50, 200), 255);
+}
+
+// P5 function - executed when script is loaded
+function setup() {
+  createCanvas(700, 700); // Create a canvas to draw on
+  world = new World(0, 0, width, height); // Create World covering entire canvas
+  renderer = new Renderer(); // Draws world using global P5 functions
+  globals.world = world;
+  world.edgeMode = EdgeMode.Bounce;
+
+  const ground = new DrawableBody(0, height - 20, width, 20).fill(100);
+  ground.static = true;
+  world.addBody(ground);
+
+  const ramp = new DrawableBody(0, 0, 0, 0).setPolygon([0, 300], [300, 450], [0, 450]).fill(100);
+  ramp.static = true;
+  world.addBody(ramp);
+
+  for (let i = 0; i < 6; i++) world.addBody(createBody(world.random(100, width - 100), world.random(50, 250)));
+}
+globalThis.setup = setup;
+
+// P5 function - executed at frameRate (initially, 60 fps)
+function draw() {
+  if (!globals.paused) {
+    world.update(deltaTime); // Update world by time elapsed since last frame
+  }
+
+  renderer.draw(world); // Render the world to P5 canvas
+}
+globalThis.draw = draw;
+
+function mousePressed() {
+  world.addBody(createBody(mouseX, mouseY));
+}
+globalThis.mousePressed = mousePressed;
@@ -0,0 +1,57 @@
+import { DrawableBody } from '../src/Body.js';
+import { DrawableBodyMode } from '../src/enums.js';
+import { MagneticField } from '../src/ForceField.js';
+import World from '../src/World.js';
+import Renderer from '../src/Renderer.js';
+
+var world, renderer;
+
+// This will be exposed to the global scope
+globalThis.globals = {
+  paused: false,
+};
+
+function createParticle(x, y, charge) {
+  const b = new DrawableBody(x, y, 8, 8)
+    .setDrawMode(DrawableBodyMode.Ellipse)
+    .charge(charge)
+    .fill(charge > 0 ? [255, 80, 80] : [80, 80, 255]);
+  b.vel({ x: world.random(-2, 2), y: world.random(-2, 2) });
+  return b;
+}
+
+// P5 function - executed when script is loaded
+function setup() {
+  createCanvas(700, 700); // Create a canvas to draw on
+  world = new World(0, 0, width, height); // Create World covering entire canvas
+  renderer = new Renderer(); // Draws world using global P5 functions
+  globals.world = world;
+
+  world.debug = true;
+  renderer.debug.boundingBoxes = false;
+  renderer.debug.ids = false;
+  world.background = color(0);
+  world.G = null;
+  world.doCollisions = false;
+  world.enableSleeping = false;
+  world.k = 2;
+
+  world.addField(new MagneticField(0.05)); // Into the screen
+}
+globalThis.setup = setup;
+
+// P5 function - executed at frameRate (initially, 60 fps)
+function draw() {
+  if (!globals.paused) {
+    world.update(deltaTime); // Update world by time elapsed since last frame
+  }
+
+  renderer.draw(world); // Render the world to P5 canvas
+}
+globalThis.draw = draw;
+
+// Click to add a positive particle, shift-click for a negative one
+function mousePressed() {
+  world.addBody(createParticle(mouseX, mouseY, keyIsDown(SHIFT) ? -1 : 1));
+}
+globalThis.mousePressed = mousePressed;
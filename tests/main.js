@@ -1,8 +1,9 @@
 import { DrawableBody } from '../src/Body.js';
 import { DrawableBodyMode, EdgeMode } from '../src/enums.js';
 import World from '../src/World.js';
+import Renderer from '../src/Renderer.js';
 
-var world, plane;
+var world, plane, renderer;
 const TWO_PI = 2 * Math.PI;
 
 // This will be exposed to the global scope
@@ -12,10 +13,10 @@ globalThis.globals = {
 
 function createBody(x, y) {
   const b = new DrawableBody(x, y, 25, 25)
-    .setPolygon(...createPolygonPath(x, y, 25, Math.floor(random(3, 10))))
+    .setPolygon(...createPolygonPath(x, y, 25, Math.floor(world.random(3, 10))))
     .fill(51)
     .stroke(255);
-  // b.mass(Math.floor(random(1, 10)));
+  // b.mass(Math.floor(world.random(1, 10)));
   return b;
 }
 
@@ -23,6 +24,7 @@ function createBody(x, y) {
 function setup() {
   createCanvas(700, 700); // Create a canvas to draw on
   world = new World(0, 0, width, height); // Create World covering entire canvas
+  renderer = new Renderer(); // Draws world using global P5 functions
   globals.world = world;
 
   world.debug = true;
@@ -42,10 +44,10 @@ globalThis.setup = setup;
 // P5 function - executed at frameRate (initially, 60 fps)
 function draw() {
   if (!globals.paused) {
-    world.update(); // Update world
+    world.update(deltaTime); // Update world by time elapsed since last frame
   }
 
-  world.show(); // Render the world to P5 canvas
+  renderer.draw(world); // Render the world to P5 canvas
 }
 globalThis.draw = draw;
 
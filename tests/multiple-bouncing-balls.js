@@ -1,8 +1,9 @@
 import { DrawableBody } from '../src/Body.js';
 import { DrawableBodyMode, EdgeMode } from '../src/enums.js';
 import World from '../src/World.js';
+import Renderer from '../src/Renderer.js';
 
-var world;
+var world, renderer;
 
 // This will be exposed to the global scope
 globalThis.globals = {
@@ -14,6 +15,7 @@ function createBody(x, y) {
     .setDrawMode(DrawableBodyMode.Ellipse)
     .fill(51)
     .coefficientOfRestitution(0.7)
+    .quadraticDrag(0.5) // Air resistance
     .stroke(255);
   // b.mass = Math.floor(random(1, 10));
   return b;
@@ -23,6 +25,7 @@ function createBody(x, y) {
 function setup() {
   createCanvas(700, 700); // Create a canvas to draw on
   world = new World(0, 0, width, height); // Create World covering entire canvas
+  renderer = new Renderer(); // Draws world using global P5 functions
   globals.world = world;
 
   world.background = color(0);
@@ -34,10 +37,10 @@ globalThis.setup = setup;
 // P5 function - executed at frameRate (initially, 60 fps)
 function draw() {
   if (!globals.paused) {
-    world.update(); // Update world
+    world.update(deltaTime); // Update world by time elapsed since last frame
   }
 
-  world.show(); // Render the world to P5 canvas
+  renderer.draw(world); // Render the world to P5 canvas
 }
 globalThis.draw = draw;
 
@@ -0,0 +1,68 @@
+import { DrawableBody } from '../src/Body.js';
+import { DrawableBodyMode } from '../src/enums.js';
+import { Gravitation } from '../src/ForceField.js';
+import World from '../src/World.js';
+import Renderer from '../src/Renderer.js';
+
+var world, renderer, sun;
+
+// This will be exposed to the global scope
+globalThis.globals = {
+  paused: false,
+};
+
+function createPlanet(x, y, mass) {
+  const b = new DrawableBody(x, y, 6, 6)
+    .setDrawMode(DrawableBodyMode.Ellipse)
+    .mass(mass)
+    .fill(world.random(100, 255), world.random(100, 255), 255);
+  // Circular orbit: v = sqrt(GM / r)
+  const c = sun.centre(), r = Math.hypot(x - c.x, y - c.y), speed = Math.sqrt(sun.mass() / r);
+  b.vel({ x: (c.y - y) / r * speed, y: (x - c.x) / r * speed });
+  return b;
+}
+
+// P5 function - executed when script is loaded
+function setup() {
+  createCanvas(700, 700); // Create a canvas to draw on
+  world = new World(0, 0, width, height); // Create World covering entire canvas
+  renderer = new Renderer(); // Draws world using global P5 functions
+  globals.world = world;
+
+  world.background = color(0);
+  world.G = null; // No uniform gravity - bodies attract each other
+  world.doCollisions = false;
+  world.enableSleeping = false;
+
+  const gravitation = new Gravitation(1, 2);
+  gravitation.barnesHut = true;
+  world.addField(gravitation);
+
+  sun = new DrawableBody(width / 2, height / 2, 20, 20)
+    .setDrawMode(DrawableBodyMode.Ellipse)
+    .mass(1000)
+    .fill(255, 200, 0);
+  sun.static = true;
+  world.addBody(sun);
+
+  for (let i = 0; i < 100; i++) {
+    const angle = world.random(2 * Math.PI), r = world.random(60, 300);
+    world.addBody(createPlanet(width / 2 + r * Math.cos(angle), height / 2 + r * Math.sin(angle), 0.1));
+  }
+}
+globalThis.setup = setup;
+
+// P5 function - executed at frameRate (initially, 60 fps)
+function draw() {
+  if (!globals.paused) {
+    world.update(deltaTime); // Update world by time elapsed since last frame
+  }
+
+  renderer.draw(world); // Render the world to P5 canvas
+}
+globalThis.draw = draw;
+
+function mousePressed() {
+  world.addBody(createPlanet(mouseX, mouseY, 1));
+}
+globalThis.mousePressed = mousePressed;
@@ -0,0 +1,57 @@
+import { DrawableBody } from '../src/Body.js';
+import { Recorder, Player } from '../src/Recorder.js';
+import { EdgeMode } from '../src/enums.js';
+import World from '../src/World.js';
+import Renderer from '../src/Renderer.js';
+
+var world, renderer, recorder;
+
+// This will be exposed to the global scope
+globalThis.globals = {
+  paused: false,
+  verified: null, // Result of the last Player.verify() - press 'v'
+};
+
+// P5 function - executed when script is loaded
+function setup() {
+  createCanvas(700, 700); // Create a canvas to draw on
+  world = new World(0, 0, width, height); // Create World covering entire canvas
+  renderer = new Renderer(); // Draws world using global P5 functions
+  globals.world = world;
+  world.edgeMode = EdgeMode.Bounce;
+
+  const ground = new DrawableBody(0, height - 20, width, 20).fill(100);
+  ground.static = true;
+  world.addBody(ground);
+
+  recorder = new Recorder(world).start();
+  globals.recorder = recorder;
+}
+globalThis.setup = setup;
+
+// P5 function - executed at frameRate (initially, 60 fps)
+function draw() {
+  if (!globals.paused) {
+    world.update(deltaTime); // Update world by time elapsed since last frame
+  }
+
+  renderer.draw(world); // Render the world to P5 canvas
+  fill(0);
+  text(`Frames recorded: ${recorder.frames.length}. Press 'v' to verify the replay.`, 10, 20);
+  if (globals.verified !== null) text(globals.verified === -1 ? 'Replay matches' : `Replay differs from frame ${globals.verified}`, 10, 40);
+}
+globalThis.draw = draw;
+
+// Add a box and push it in the same frame - the replay must apply the push once only
+function mousePressed() {
+  const box = new DrawableBody(mouseX, mouseY, 30, 30).fill(world.random(50, 200), world.random(50, 200), 255);
+  world.addBody(box);
+  box.applyForce({ x: world.random(-5, 5), y: -5 });
+  box.applyTorque(world.random(-50, 50));
+}
+globalThis.mousePressed = mousePressed;
+
+function keyPressed() {
+  if (key === 'v') globals.verified = new Player(JSON.stringify(recorder)).verify();
+}
+globalThis.keyPressed = keyPressed;
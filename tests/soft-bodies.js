@@ -0,0 +1,53 @@
+import { DrawableBody } from '../src/Body.js';
+import { SoftBody } from '../src/SoftBody.js';
+import { DrawableBodyMode, EdgeMode } from '../src/enums.js';
+import World from '../src/World.js';
+import Renderer from '../src/Renderer.js';
+
+var world, renderer;
+
+// This will be exposed to the global scope
+globalThis.globals = {
+  paused: false,
+};
+
+// P5 function - executed when script is loaded
+function setup() {
+  createCanvas(700, 700); // Create a canvas to draw on
+  world = new World(0, 0, width, height); // Create World covering entire canvas
+  renderer = new Renderer(); // Draws world using global P5 functions
+  globals.world = world;
+  world.edgeMode = EdgeMode.Bounce;
+  world.showConstraints = false;
+
+  const ground = new DrawableBody(0, height - 20, width, 20).fill(100);
+  ground.static = true;
+  world.addBody(ground);
+
+  const wedge = new DrawableBody(0, 0, 0, 0).setPolygon([150, height - 20], [250, height - 100], [350, height - 20]).fill(100);
+  wedge.static = true;
+  world.addBody(wedge);
+
+  world.addSoftBody(SoftBody.blob(200, 200, 50, 20).fill(255, 100, 100, 200));
+  world.addSoftBody(SoftBody.box(50, 350, 100, 100).fill(100, 200, 100, 200));
+  world.addSoftBody(SoftBody.cloth(420, 50, 200, 200).pin(0, 9).fill(200, 200, 255, 150).stroke(null));
+
+  const ball = new DrawableBody(520, 10, 40, 40).setDrawMode(DrawableBodyMode.Ellipse).mass(5).fill(50);
+  world.addBody(ball);
+}
+globalThis.setup = setup;
+
+// P5 function - executed at frameRate (initially, 60 fps)
+function draw() {
+  if (!globals.paused) {
+    world.update(deltaTime); // Update world by time elapsed since last frame
+  }
+
+  renderer.draw(world); // Render the world to P5 canvas
+}
+globalThis.draw = draw;
+
+function mousePressed() {
+  world.addSoftBody(SoftBody.blob(mouseX, mouseY, world.random(20, 50)).fill(world.random(100, 255), 100, 100, 200));
+}
+globalThis.mousePressed = mousePressed;
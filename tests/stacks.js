@@ -0,0 +1,57 @@
+import { DrawableBody } from '../src/Body.js';
+import World from '../src/World.js';
+import Renderer from '../src/Renderer.js';
+
+var world, renderer;
+
+// This will be exposed to the global scope
+globalThis.globals = {
+  paused: false,
+};
+
+function createBox(x, y, size) {
+  return new DrawableBody(x, y, size, size)
+    .coefficientOfRestitution(0)
+    .coefficientOfFriction(0.5)
+    .fill(world.random(50, 200), world.random(50, 200), 255);
+}
+
+// P5 function - executed when script is loaded
+function setup() {
+  createCanvas(700, 700); // Create a canvas to draw on
+  world = new World(0, 0, width, height); // Create World covering entire canvas
+  renderer = new Renderer(); // Draws world using global P5 functions
+  globals.world = world;
+
+  const ground = new DrawableBody(0, height - 20, width, 20).fill(100);
+  ground.static = true;
+  world.addBody(ground);
+
+  // Tower of ten boxes
+  for (let i = 0; i < 10; i++) world.addBody(createBox(80, height - 20 - 40 * (i + 1), 40));
+
+  // Pyramid, eight boxes wide
+  for (let row = 0; row < 8; row++) {
+    for (let i = 0; i < 8 - row; i++) world.addBody(createBox(250 + 20 * row + 41 * i, height - 20 - 40 * (row + 1), 40));
+  }
+
+  // Heavy box resting off-centre on a light one, no friction - should stay put
+  world.addBody(createBox(600, height - 60, 40).mass(1).coefficientOfFriction(0));
+  world.addBody(createBox(615, height - 80, 20).mass(5).coefficientOfFriction(0));
+}
+globalThis.setup = setup;
+
+// P5 function - executed at frameRate (initially, 60 fps)
+function draw() {
+  if (!globals.paused) {
+    world.update(deltaTime); // Update world by time elapsed since last frame
+  }
+
+  renderer.draw(world); // Render the world to P5 canvas
+}
+globalThis.draw = draw;
+
+function mousePressed() {
+  world.addBody(createBox(mouseX, mouseY, world.random(20, 50)));
+}
+globalThis.mousePressed = mousePressed;